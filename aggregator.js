@@ -0,0 +1,222 @@
+// Page-level aggregation of Scroll Timing API entries (ESM)
+//
+// Condenses a page view's scroll entries into a few numbers, the way INP condenses Event
+// Timing: running p50/p75/p95 of scroll start latency and smoothness, overall, by
+// scrollSource and by scroller, plus a final summary with the worst interaction at pagehide.
+// Works with native PerformanceScrollTiming entries, polyfill entries, and their toJSON() output.
+
+import { scoreSmoothness } from './scoring.js';
+
+// === Configuration Constants ===
+const CONFIG = {
+  PERCENTILES: [50, 75, 95],
+};
+
+// === Module: Running Percentiles ===
+
+/**
+ * Inserts a value into an ascending array, keeping it sorted.
+ */
+function insertSorted(values, value) {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (values[mid] <= value) low = mid + 1;
+    else high = mid;
+  }
+  values.splice(low, 0, value);
+}
+
+/**
+ * Nearest-rank percentile of an ascending array, or null when empty.
+ */
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Creates the running stats of one group (all entries, one source, or one scroller).
+ */
+function createGroupStats() {
+  return { count: 0, latencies: [], smoothness: [] };
+}
+
+/**
+ * Adds a scored entry to a group.
+ */
+function addToGroup(group, latency, smoothness) {
+  group.count++;
+  insertSorted(group.latencies, latency);
+  if (smoothness !== null) insertSorted(group.smoothness, smoothness);
+}
+
+/**
+ * Returns a group's percentiles. Lower smoothness is worse, so its percentiles are taken
+ * from the bottom: smoothness p75 is the score at least 75% of interactions met or exceeded,
+ * matching how latency p75 is the value 75% of interactions stayed under.
+ */
+function summarizeGroup(group) {
+  const scrollStartLatency = {};
+  const smoothness = {};
+  for (const p of CONFIG.PERCENTILES) {
+    scrollStartLatency[`p${p}`] = percentile(group.latencies, p);
+    smoothness[`p${p}`] = percentile(group.smoothness, 100 - p);
+  }
+  return { count: group.count, scrollStartLatency, smoothness };
+}
+
+// === Module: Aggregator ===
+
+/**
+ * Returns the key an entry's scroller is grouped under: the polyfill's serialized target
+ * identifier, or `#id` / the tag name for native entries.
+ */
+function getTargetKey(entry) {
+  const json = typeof entry.toJSON === 'function' ? entry.toJSON() : entry;
+  if (typeof json.target === 'string') return json.target;
+
+  const target = entry.target;
+  if (!target || target.nodeType !== 1) return '(unknown)';
+  return target.id ? `#${target.id}` : target.localName;
+}
+
+/**
+ * Whether interaction `a` is worse than `b`: lower smoothness (unscored counts as smooth),
+ * then higher scroll start latency.
+ */
+function isWorse(a, b) {
+  const smoothA = a.smoothness ?? 1;
+  const smoothB = b.smoothness ?? 1;
+  if (smoothA !== smoothB) return smoothA < smoothB;
+  return a.scrollStartLatency > b.scrollStartLatency;
+}
+
+/**
+ * Creates an aggregator of a page view's scroll entries.
+ * Boundary hits (polyfill entries with endDetection 'boundary') never scrolled and are left out.
+ * @param {Object} [options]
+ * @param {string} [options.method='ratio'] - Smoothness scorer (see scoring.js)
+ * @param {Object} [options.scoringOptions] - Options passed to the scorer
+ * @param {Function} [options.getTargetKey] - (entry) => string, naming the scroller an entry is grouped under
+ * @param {Function} [options.onSummary] - Called with the final page summary at pagehide
+ * @param {boolean} [options.observe=true] - Observe 'scroll' entries (buffered); false to only add() manually
+ * @returns {{add: Function, getStats: Function, getSummary: Function, reset: Function, disconnect: Function}}
+ */
+function createScrollAggregator(options = {}) {
+  const {
+    method = 'ratio',
+    scoringOptions = {},
+    onSummary,
+    observe = true,
+  } = options;
+  const keyForTarget = options.getTargetKey || getTargetKey;
+
+  if (onSummary !== undefined && typeof onSummary !== 'function') {
+    throw new TypeError('[ScrollTimingAggregator] onSummary must be a function');
+  }
+  // Fail early on unknown scorers rather than on the first entry
+  scoreSmoothness({ framesExpected: 0 }, method, scoringOptions);
+
+  let overall;
+  let bySource;
+  let byTarget;
+  let worst;
+  let observer = null;
+  let connected = true;
+
+  /**
+   * Clears all stats, e.g. after a soft navigation.
+   */
+  function reset() {
+    overall = createGroupStats();
+    bySource = new Map();
+    byTarget = new Map();
+    worst = null;
+  }
+  reset();
+
+  /**
+   * Adds an entry to the running stats.
+   */
+  function add(entry) {
+    if (!connected || !entry || entry.endDetection === 'boundary') return;
+
+    const latency = Number.isFinite(entry.scrollStartLatency)
+      ? entry.scrollStartLatency
+      : Math.max(0, (entry.firstFrameTime || 0) - (entry.startTime || 0));
+    const smoothness = scoreSmoothness(entry, method, scoringOptions);
+    const source = entry.scrollSource || 'other';
+    const target = keyForTarget(entry);
+
+    addToGroup(overall, latency, smoothness);
+    if (!bySource.has(source)) bySource.set(source, createGroupStats());
+    addToGroup(bySource.get(source), latency, smoothness);
+    if (!byTarget.has(target)) byTarget.set(target, createGroupStats());
+    addToGroup(byTarget.get(target), latency, smoothness);
+
+    // Worst interaction: least smooth, then slowest to start
+    const candidate = { entry, target, scrollSource: source, startTime: entry.startTime, scrollStartLatency: latency, smoothness };
+    if (!worst || isWorse(candidate, worst)) worst = candidate;
+  }
+
+  /**
+   * Returns the current percentiles, overall and per group.
+   */
+  function getStats() {
+    const groups = map => Object.fromEntries(Array.from(map, ([key, group]) => [key, summarizeGroup(group)]));
+    return {
+      ...summarizeGroup(overall),
+      bySource: groups(bySource),
+      byTarget: groups(byTarget)
+    };
+  }
+
+  /**
+   * Returns the page-level summary: the stats plus the worst interaction and its target.
+   */
+  function getSummary() {
+    return {
+      url: typeof location !== 'undefined' ? location.href : null,
+      method,
+      ...getStats(),
+      worstInteraction: worst ? { ...worst } : null
+    };
+  }
+
+  function onPageHide() {
+    if (onSummary) onSummary(getSummary());
+  }
+
+  /**
+   * Stops collecting entries and listening for pagehide. Stats remain readable.
+   */
+  function disconnect() {
+    if (!connected) return;
+    connected = false;
+    if (observer) observer.disconnect();
+    if (typeof window !== 'undefined') window.removeEventListener('pagehide', onPageHide);
+  }
+
+  if (typeof window !== 'undefined') window.addEventListener('pagehide', onPageHide);
+
+  if (observe) {
+    const supported = typeof PerformanceObserver === 'function'
+      && (PerformanceObserver.supportedEntryTypes || []).includes('scroll');
+    if (supported) {
+      observer = new PerformanceObserver(list => list.getEntries().forEach(add));
+      observer.observe({ type: 'scroll', buffered: true });
+    } else {
+      console.warn("[ScrollTimingAggregator] 'scroll' entries aren't supported; load the polyfill first or call add() manually");
+    }
+  }
+
+  return { add, getStats, getSummary, reset, disconnect };
+}
+
+// === ESM Exports ===
+
+export {
+  createScrollAggregator,
+};
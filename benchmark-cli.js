@@ -0,0 +1,246 @@
+// Command line runner for benchmark.js (Node ESM)
+//
+// Serves this directory on a local port, runs each scenario in headless Chromium through
+// Puppeteer (or Playwright, whichever is installed), and writes a JSON and an HTML report
+// per scenario. With --baseline, reports are compared against the saved ones and the
+// process exits with 1 on a regression or a missing baseline, for gating PRs.
+//
+//   node --experimental-detect-module benchmark-cli.js scenarios.json --out reports --baseline baselines
+//
+// (--experimental-detect-module lets Node 20 load these .js modules as ESM; Node 22.7+ doesn't need it.)
+// scenarios.json holds an array of scenarios (see normalizeScenario in benchmark.js);
+// --update-baseline saves the new reports as the baseline instead of comparing.
+
+import { createServer } from 'node:http';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import {
+  normalizeScenario,
+  createBrowserDriver,
+  runScenario,
+  createBenchmarkReport,
+  compareBenchmarkReports,
+  renderBenchmarkReportHtml,
+} from './benchmark.js';
+
+// === Configuration Constants ===
+const CONFIG = {
+  DEFAULT_OUT_DIR: 'benchmark-reports',
+  CONTENT_TYPES: {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+  },
+};
+
+const ROOT_DIR = fileURLToPath(new URL('.', import.meta.url));
+
+const USAGE = `Usage: node --experimental-detect-module benchmark-cli.js <scenarios.json> [options]
+
+Options:
+  --out <dir>          Where reports are written (default: ${CONFIG.DEFAULT_OUT_DIR})
+  --baseline <dir>     Compare against <dir>/<scenario>.json; exit 1 on a regression or a missing baseline
+  --update-baseline    Save the reports to the --baseline directory instead of comparing
+  --allow-missing-baseline
+                       Skip the comparison of scenarios without a baseline instead of failing
+  --method <name>      Smoothness scorer (default: ratio)
+  --iterations <n>     Override every scenario's iteration count
+  --headful            Show the browser window`;
+
+// === Module: Arguments ===
+
+function usageError(message) {
+  const error = new Error(message);
+  error.showUsage = true;
+  return error;
+}
+
+function parseArguments(argv) {
+  const options = {
+    scenarios: null,
+    out: CONFIG.DEFAULT_OUT_DIR,
+    baseline: null,
+    updateBaseline: false,
+    allowMissingBaseline: false,
+    method: 'ratio',
+    iterations: null,
+    headful: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw usageError(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--out') options.out = value();
+    else if (arg === '--baseline') options.baseline = value();
+    else if (arg === '--update-baseline') options.updateBaseline = true;
+    else if (arg === '--allow-missing-baseline') options.allowMissingBaseline = true;
+    else if (arg === '--method') options.method = value();
+    else if (arg === '--iterations') options.iterations = Number(value());
+    else if (arg === '--headful') options.headful = true;
+    else if (arg.startsWith('--')) throw usageError(`Unknown option ${arg}`);
+    else if (!options.scenarios) options.scenarios = arg;
+    else throw usageError(`Unexpected argument ${arg}`);
+  }
+  if (!options.scenarios) throw usageError('Missing scenarios file');
+  if (options.updateBaseline && !options.baseline) throw usageError('--update-baseline needs --baseline');
+  return options;
+}
+
+/**
+ * File name for a scenario's reports and baseline.
+ */
+function getReportFileName(name) {
+  return name.replace(/[^\w.-]+/g, '-');
+}
+
+// === Module: Static Server ===
+
+/**
+ * Serves ROOT_DIR on 127.0.0.1 at a free port, so pages can load ES modules.
+ * @returns {Promise<{baseUrl: string, close: Function}>}
+ */
+function startStaticServer() {
+  const server = createServer(async (request, response) => {
+    const pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    const filePath = normalize(join(ROOT_DIR, pathname.endsWith('/') ? `${pathname}index.html` : pathname));
+    if (filePath !== ROOT_DIR && !filePath.startsWith(ROOT_DIR.endsWith(sep) ? ROOT_DIR : ROOT_DIR + sep)) {
+      response.writeHead(403).end();
+      return;
+    }
+    try {
+      const body = await readFile(filePath);
+      response.writeHead(200, { 'Content-Type': CONFIG.CONTENT_TYPES[extname(filePath)] || 'application/octet-stream' });
+      response.end(body);
+    } catch (error) {
+      response.writeHead(404).end();
+    }
+  });
+
+  return new Promise((resolvePromise, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolvePromise({ baseUrl: `http://127.0.0.1:${port}/`, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+// === Module: Browser ===
+
+/**
+ * Launches headless Chromium with Puppeteer, falling back to Playwright.
+ * @returns {Promise<{newPage: Function, close: Function}>}
+ */
+async function launchBrowser(headful) {
+  try {
+    const { default: puppeteer } = await import('puppeteer');
+    const browser = await puppeteer.launch({ headless: !headful });
+    return { newPage: () => browser.newPage(), close: () => browser.close() };
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+  }
+
+  try {
+    const { chromium } = await import('playwright');
+    const browser = await chromium.launch({ headless: !headful });
+    return { newPage: () => browser.newPage(), close: () => browser.close() };
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+  }
+
+  throw new Error('Neither puppeteer nor playwright is installed; install one of them to run benchmarks');
+}
+
+// === Module: Main ===
+
+async function main(argv) {
+  const options = parseArguments(argv);
+  const file = JSON.parse(await readFile(resolve(options.scenarios), 'utf8'));
+  const scenarios = (Array.isArray(file) ? file : file.scenarios || []).map(scenario => normalizeScenario(
+    options.iterations ? { ...scenario, iterations: options.iterations } : scenario
+  ));
+  if (!scenarios.length) throw new Error(`No scenarios in ${options.scenarios}`);
+
+  await mkdir(options.out, { recursive: true });
+  if (options.updateBaseline) await mkdir(options.baseline, { recursive: true });
+
+  let server = null;
+  let browser = null;
+  let failed = false;
+
+  try {
+    server = await startStaticServer();
+    browser = await launchBrowser(options.headful);
+
+    for (const scenario of scenarios) {
+      const page = await browser.newPage();
+      let run;
+      try {
+        const driver = createBrowserDriver(page, { baseUrl: server.baseUrl });
+        run = await runScenario(scenario, driver, {
+          onIteration: (iteration, entries) => console.log(`[${scenario.name}] iteration ${iteration + 1}/${scenario.iterations}: ${entries.length} entries`)
+        });
+      } finally {
+        await page.close();
+      }
+
+      const report = createBenchmarkReport(run, { method: options.method });
+      const fileName = getReportFileName(scenario.name);
+      let comparison = null;
+
+      if (options.updateBaseline) {
+        await writeFile(join(options.baseline, `${fileName}.json`), JSON.stringify(report, null, 2));
+        console.log(`[${scenario.name}] baseline updated`);
+      } else if (options.baseline) {
+        // A missing baseline fails the gate by default: a renamed scenario must not pass unchecked
+        const baselinePath = join(options.baseline, `${fileName}.json`);
+        let baseline = null;
+        try {
+          baseline = JSON.parse(await readFile(baselinePath, 'utf8'));
+        } catch (error) {
+          if (error.code === 'ENOENT' && options.allowMissingBaseline) {
+            console.warn(`[${scenario.name}] no baseline at ${baselinePath}, skipping comparison`);
+          } else {
+            const reason = error.code === 'ENOENT' ? 'not found' : `unreadable (${error.message})`;
+            console.error(`[${scenario.name}] FAILED: baseline ${baselinePath} ${reason}`);
+            failed = true;
+          }
+        }
+        if (baseline) {
+          comparison = compareBenchmarkReports(baseline, report, scenario.thresholds);
+          for (const row of comparison.regressions) {
+            console.log(`[${scenario.name}] REGRESSION ${row.group} ${row.metric} p${comparison.percentile}: ${row.baseline} -> ${row.current} (threshold ${row.threshold})`);
+          }
+          console.log(`[${scenario.name}] ${comparison.passed ? 'passed' : 'regressed'}`);
+          failed = failed || !comparison.passed;
+        }
+      }
+
+      await writeFile(join(options.out, `${fileName}.json`), JSON.stringify({ report, comparison }, null, 2));
+      await writeFile(join(options.out, `${fileName}.html`), renderBenchmarkReportHtml(report, comparison));
+    }
+  } finally {
+    // Without closing both, a failed launch or scenario leaves the process hanging
+    if (browser) await browser.close();
+    if (server) await server.close();
+  }
+
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, error => {
+  console.error(`[ScrollTimingBenchmark] ${error.message}`);
+  if (error.showUsage) console.error(USAGE);
+  process.exitCode = 2;
+});
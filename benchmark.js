@@ -0,0 +1,580 @@
+// Lab benchmark runner for Scroll Timing API entries (ESM)
+//
+// Replays named scroll scenarios (page, scroller selector, gesture script, iterations) in a
+// local headless Chromium, collects the resulting scroll entries, and condenses them into a
+// report of smoothness and scroll start latency distributions per velocity bucket. Reports
+// render to HTML and diff against a saved baseline with regression thresholds, so a PR can
+// be gated on e.g. "fast flings on the feed didn't get jankier". benchmark-cli.js runs this
+// from the command line.
+//
+// The browser is driven through a Puppeteer or Playwright page (passed in, so neither is a
+// dependency of this module) and the Chrome DevTools Protocol, which provides real wheel,
+// touch fling and key input. Pages get the polyfill injected unless they load it themselves.
+
+import { createScrollAggregator } from './aggregator.js';
+import { scoreSmoothness } from './scoring.js';
+
+// === Configuration Constants ===
+const CONFIG = {
+  DEFAULT_ITERATIONS: 5,
+  // Wait after a gesture script before collecting entries: covers momentum and end detection
+  DEFAULT_SETTLE_MS: 1500,
+  DEFAULT_POLYFILL_URL: '/polyfill.js',
+  DEFAULT_WHEEL_DELTA: 100,
+  DEFAULT_WHEEL_TICK_INTERVAL_MS: 50,
+  DEFAULT_FLING_DISTANCE: 2000,
+  DEFAULT_FLING_SPEED_PX_PER_S: 3000,
+  DEFAULT_PERCENTILE: 75,
+  // Regressions are changes beyond these, at DEFAULT_PERCENTILE
+  DEFAULT_SMOOTHNESS_THRESHOLD: 0.05,
+  DEFAULT_LATENCY_THRESHOLD_MS: 10,
+  // Groups with fewer entries than this in either report aren't compared
+  DEFAULT_MIN_COUNT: 3,
+  // Histogram upper bounds (inclusive); the last bin is open-ended
+  SMOOTHNESS_HISTOGRAM_BOUNDS: [0.5, 0.75, 0.9, 0.95, 0.99, 1],
+  LATENCY_HISTOGRAM_BOUNDS_MS: [16, 33, 50, 100, 200],
+};
+
+// Bump whenever the report shape changes, so stale baselines are rejected rather than misread
+const BENCHMARK_REPORT_VERSION = 1;
+
+const GESTURE_TYPES = new Set(['wheel', 'fling', 'key', 'scrollTo', 'click', 'wait']);
+
+// Velocity buckets in display order; 'unknown' collects entries without one (native entries)
+const VELOCITY_BUCKET_ORDER = ['slow', 'medium', 'fast', 'unknown'];
+
+// CDP key definitions for the keys a key step can press
+const KEY_DEFINITIONS = {
+  ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+  ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  PageUp: { code: 'PageUp', keyCode: 33 },
+  PageDown: { code: 'PageDown', keyCode: 34 },
+  Home: { code: 'Home', keyCode: 36 },
+  End: { code: 'End', keyCode: 35 },
+  ' ': { code: 'Space', keyCode: 32, text: ' ' },
+};
+
+// === Module: Scenarios ===
+
+/**
+ * Validates a scenario and fills in defaults.
+ * @param {Object} scenario
+ * @param {string} scenario.name - Unique name; reports and baselines are keyed by it
+ * @param {string} scenario.page - Page URL, absolute or relative to the driver's baseUrl
+ * @param {string} [scenario.selector='html'] - Scroller the gestures target ('html' or 'body' for the page)
+ * @param {Array<Object>} scenario.script - Gesture steps, each with a `type`:
+ *   - wheel: {deltaX=0, deltaY=100, ticks=1, interval=50} mouse wheel notches over the scroller
+ *   - fling: {distance=2000, speed=3000, direction='down'} touch fling (speed in px/s) with momentum
+ *   - key: {key='PageDown', count=1} key presses with the scroller focused
+ *   - scrollTo: {top, left, behavior} programmatic scroll of the scroller
+ *   - click: {selector} click an element, e.g. a toggle that adds jank
+ *   - wait: {duration} pause (ms)
+ * @param {number} [scenario.iterations=5] - Page loads to repeat the script on
+ * @param {number} [scenario.settle=1500] - Wait (ms) after the script before collecting entries
+ * @param {number} [scenario.cpuThrottling] - CPU slowdown factor (e.g. 4), for mid-range device conditions
+ * @param {Object} [scenario.thresholds] - Regression thresholds for baseline comparisons (see compareBenchmarkReports)
+ * @returns {Object} Normalized scenario
+ */
+function normalizeScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object') {
+    throw new TypeError('[ScrollTimingBenchmark] Scenario must be an object');
+  }
+  const {
+    name,
+    page,
+    selector = 'html',
+    script,
+    iterations = CONFIG.DEFAULT_ITERATIONS,
+    settle = CONFIG.DEFAULT_SETTLE_MS,
+    cpuThrottling = null,
+    thresholds = {},
+  } = scenario;
+
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('[ScrollTimingBenchmark] Scenario name must be a non-empty string');
+  }
+  if (typeof page !== 'string' || !page) {
+    throw new TypeError(`[ScrollTimingBenchmark] Scenario "${name}": page must be a non-empty string`);
+  }
+  if (!Array.isArray(script) || !script.length) {
+    throw new TypeError(`[ScrollTimingBenchmark] Scenario "${name}": script must be a non-empty array of steps`);
+  }
+  script.forEach((step, index) => {
+    if (!step || !GESTURE_TYPES.has(step.type)) {
+      throw new TypeError(`[ScrollTimingBenchmark] Scenario "${name}": step ${index} has unknown type ${step && step.type}`);
+    }
+    if (step.type === 'key' && step.key !== undefined && !KEY_DEFINITIONS[step.key]) {
+      throw new RangeError(`[ScrollTimingBenchmark] Scenario "${name}": step ${index} presses unsupported key ${step.key}`);
+    }
+  });
+  if (!Number.isInteger(iterations) || iterations < 1) {
+    throw new RangeError(`[ScrollTimingBenchmark] Scenario "${name}": iterations must be a positive integer, got ${iterations}`);
+  }
+  if (cpuThrottling !== null && !(cpuThrottling >= 1)) {
+    throw new RangeError(`[ScrollTimingBenchmark] Scenario "${name}": cpuThrottling must be at least 1, got ${cpuThrottling}`);
+  }
+
+  return { name, page, selector, script: script.map(step => ({ ...step })), iterations, settle, cpuThrottling, thresholds };
+}
+
+// === Module: Browser Driver ===
+
+/**
+ * Opens a DevTools Protocol session on a Puppeteer or Playwright page.
+ */
+async function openCdpSession(page) {
+  if (typeof page.createCDPSession === 'function') return page.createCDPSession();
+  if (typeof page.target === 'function') return page.target().createCDPSession();
+  if (typeof page.context === 'function') return page.context().newCDPSession(page);
+  throw new TypeError('[ScrollTimingBenchmark] Page must be a Puppeteer or Playwright Chromium page');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a driver that runs scenario steps in a headless Chromium page.
+ * @param {Object} page - Puppeteer Page or Playwright (Chromium) Page
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Base URL for relative scenario pages, e.g. a local static server
+ * @param {string} [options.polyfillUrl='/polyfill.js'] - Polyfill module injected into pages that don't load it
+ * @returns {{load: Function, perform: Function, wait: Function, collectEntries: Function, getUserAgent: Function}}
+ */
+function createBrowserDriver(page, options = {}) {
+  const { baseUrl, polyfillUrl = CONFIG.DEFAULT_POLYFILL_URL } = options;
+  let session = null;
+  let scenario = null;
+
+  async function getSession() {
+    if (!session) session = await openCdpSession(page);
+    return session;
+  }
+
+  /**
+   * Returns the center of the scroller's visible box in viewport coordinates.
+   */
+  function getScrollerPoint(selector) {
+    return page.evaluate(({ selector }) => {
+      const element = document.querySelector(selector);
+      if (!element) throw new Error(`No element matches ${selector}`);
+      const isRoot = element === document.documentElement || element === document.body;
+      const rect = isRoot
+        ? { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight }
+        : element.getBoundingClientRect();
+      const left = Math.max(0, rect.left);
+      const top = Math.max(0, rect.top);
+      const right = Math.min(window.innerWidth, rect.left + rect.width);
+      const bottom = Math.min(window.innerHeight, rect.top + rect.height);
+      return { x: Math.round((left + right) / 2), y: Math.round((top + bottom) / 2) };
+    }, { selector });
+  }
+
+  /**
+   * Loads the page, applies the scenario's CPU throttling, and starts collecting entries.
+   */
+  async function load(url, loadedScenario) {
+    scenario = loadedScenario;
+    const cdp = await getSession();
+    await cdp.send('Emulation.setCPUThrottlingRate', { rate: scenario.cpuThrottling || 1 });
+    await page.goto(baseUrl ? new URL(url, baseUrl).href : url, { waitUntil: 'load' });
+    await page.evaluate(async ({ polyfillUrl }) => {
+      if (!('PerformanceScrollTiming' in window)) await import(polyfillUrl);
+      const entries = [];
+      new PerformanceObserver(list => {
+        for (const entry of list.getEntries()) entries.push(entry.toJSON());
+      }).observe({ type: 'scroll', buffered: true });
+      window.__scrollTimingBenchmarkEntries = entries;
+    }, { polyfillUrl });
+  }
+
+  async function wheel(step, selector) {
+    const cdp = await getSession();
+    const { x, y } = await getScrollerPoint(selector);
+    const { deltaX = 0, deltaY = CONFIG.DEFAULT_WHEEL_DELTA, ticks = 1, interval = CONFIG.DEFAULT_WHEEL_TICK_INTERVAL_MS } = step;
+    await cdp.send('Input.dispatchMouseEvent', { type: 'mouseMoved', x, y });
+    for (let tick = 0; tick < ticks; tick++) {
+      if (tick > 0) await sleep(interval);
+      await cdp.send('Input.dispatchMouseEvent', { type: 'mouseWheel', x, y, deltaX, deltaY });
+    }
+  }
+
+  async function fling(step, selector) {
+    const cdp = await getSession();
+    const { x, y } = await getScrollerPoint(selector);
+    const { distance = CONFIG.DEFAULT_FLING_DISTANCE, speed = CONFIG.DEFAULT_FLING_SPEED_PX_PER_S, direction = 'down' } = step;
+    // Gesture distances are finger movement: a positive yDistance scrolls up
+    const vectors = { down: [0, -1], up: [0, 1], right: [-1, 0], left: [1, 0] };
+    const [signX, signY] = vectors[direction] || vectors.down;
+    await cdp.send('Input.synthesizeScrollGesture', {
+      x,
+      y,
+      xDistance: signX * distance,
+      yDistance: signY * distance,
+      speed,
+      gestureSourceType: 'touch',
+      preventFling: false
+    });
+  }
+
+  async function key(step, selector) {
+    const cdp = await getSession();
+    const { key: keyName = 'PageDown', count = 1 } = step;
+    const definition = KEY_DEFINITIONS[keyName];
+    await page.evaluate(({ selector }) => {
+      const element = document.querySelector(selector);
+      if (!element || element === document.documentElement || element === document.body) {
+        if (document.activeElement) document.activeElement.blur();
+        return;
+      }
+      if (!element.hasAttribute('tabindex')) element.tabIndex = -1;
+      element.focus();
+    }, { selector });
+
+    for (let press = 0; press < count; press++) {
+      const event = { key: keyName, code: definition.code, windowsVirtualKeyCode: definition.keyCode };
+      await cdp.send('Input.dispatchKeyEvent', definition.text
+        ? { ...event, type: 'keyDown', text: definition.text }
+        : { ...event, type: 'rawKeyDown' });
+      await cdp.send('Input.dispatchKeyEvent', { ...event, type: 'keyUp' });
+    }
+  }
+
+  function scrollTo(step, selector) {
+    const { top, left, behavior } = step;
+    return page.evaluate(({ selector, top, left, behavior }) => {
+      const element = document.querySelector(selector);
+      const isRoot = element === document.documentElement || element === document.body;
+      (isRoot ? window : element).scrollTo({ top, left, behavior });
+    }, { selector, top, left, behavior });
+  }
+
+  /**
+   * Performs one script step against the scroller.
+   */
+  async function perform(step, selector) {
+    switch (step.type) {
+      case 'wheel': return wheel(step, selector);
+      case 'fling': return fling(step, selector);
+      case 'key': return key(step, selector);
+      case 'scrollTo': return scrollTo(step, selector);
+      case 'click': return page.click(step.selector);
+      case 'wait': return sleep(step.duration || 0);
+      default: throw new TypeError(`[ScrollTimingBenchmark] Unknown step type: ${step.type}`);
+    }
+  }
+
+  /**
+   * Returns the serialized entries observed since the last call.
+   */
+  function collectEntries() {
+    return page.evaluate(() => (window.__scrollTimingBenchmarkEntries || []).splice(0));
+  }
+
+  function getUserAgent() {
+    return page.evaluate(() => navigator.userAgent);
+  }
+
+  return { load, perform, wait: sleep, collectEntries, getUserAgent };
+}
+
+// === Module: Runner ===
+
+/**
+ * Runs a scenario: for each iteration, loads the page, plays the script, waits for the
+ * scrolls to settle and collects their entries.
+ * @param {Object} scenario - See normalizeScenario
+ * @param {Object} driver - From createBrowserDriver, or any object with the same methods
+ * @param {Object} [options]
+ * @param {Function} [options.onIteration] - Called with (iteration, entries) after each iteration
+ * @returns {Promise<{scenario: Object, userAgent: string|null, iterations: Array<{iteration: number, entries: Object[]}>}>}
+ */
+async function runScenario(scenario, driver, options = {}) {
+  const normalized = normalizeScenario(scenario);
+  const iterations = [];
+
+  for (let iteration = 0; iteration < normalized.iterations; iteration++) {
+    await driver.load(normalized.page, normalized);
+    for (const step of normalized.script) {
+      await driver.perform(step, normalized.selector);
+    }
+    await driver.wait(normalized.settle);
+
+    const entries = await driver.collectEntries();
+    iterations.push({ iteration, entries });
+    if (options.onIteration) options.onIteration(iteration, entries);
+  }
+
+  const userAgent = typeof driver.getUserAgent === 'function' ? await driver.getUserAgent() : null;
+  return { scenario: normalized, userAgent, iterations };
+}
+
+// === Module: Reports ===
+
+/**
+ * Counts values into histogram bins: each bin holds values up to its bound (inclusive) and
+ * above the previous one; the final bin (upTo: null) holds everything larger.
+ */
+function buildHistogram(values, bounds) {
+  const bins = bounds.map(upTo => ({ upTo, count: 0 }));
+  bins.push({ upTo: null, count: 0 });
+  for (const value of values) {
+    const index = bounds.findIndex(bound => value <= bound);
+    bins[index === -1 ? bins.length - 1 : index].count++;
+  }
+  return bins;
+}
+
+/**
+ * Builds a report from a scenario run: percentiles (as computed by aggregator.js for RUM,
+ * so lab and field numbers compare) and histograms, overall, per velocity bucket and per
+ * scroll source.
+ * @param {Object} run - Result of runScenario
+ * @param {Object} [options]
+ * @param {string} [options.method='ratio'] - Smoothness scorer (see scoring.js)
+ * @param {Object} [options.scoringOptions] - Options passed to the scorer
+ * @returns {Object} JSON-serializable report
+ */
+function createBenchmarkReport(run, options = {}) {
+  const { method = 'ratio', scoringOptions = {} } = options;
+  const entries = run.iterations.flatMap(iteration => iteration.entries);
+  const velocityKey = entry => entry.velocityBucket || 'unknown';
+
+  const aggregator = createScrollAggregator({ method, scoringOptions, observe: false, getTargetKey: velocityKey });
+  entries.forEach(aggregator.add);
+  const stats = aggregator.getStats();
+  aggregator.disconnect();
+
+  // Per-entry values for the histograms, grouped the same way (boundary hits never scrolled)
+  const samples = { overall: { latencies: [], smoothness: [] } };
+  for (const entry of entries) {
+    if (entry.endDetection === 'boundary') continue;
+    const bucket = velocityKey(entry);
+    if (!samples[bucket]) samples[bucket] = { latencies: [], smoothness: [] };
+    const latency = Number.isFinite(entry.scrollStartLatency)
+      ? entry.scrollStartLatency
+      : Math.max(0, (entry.firstFrameTime || 0) - (entry.startTime || 0));
+    const smoothness = scoreSmoothness(entry, method, scoringOptions);
+    for (const group of [samples.overall, samples[bucket]]) {
+      group.latencies.push(latency);
+      if (smoothness !== null) group.smoothness.push(smoothness);
+    }
+  }
+
+  const withHistograms = (group, values) => ({
+    ...group,
+    histograms: {
+      smoothness: buildHistogram(values.smoothness, CONFIG.SMOOTHNESS_HISTOGRAM_BOUNDS),
+      scrollStartLatency: buildHistogram(values.latencies, CONFIG.LATENCY_HISTOGRAM_BOUNDS_MS)
+    }
+  });
+
+  const byVelocity = {};
+  for (const bucket of VELOCITY_BUCKET_ORDER) {
+    if (stats.byTarget[bucket]) byVelocity[bucket] = withHistograms(stats.byTarget[bucket], samples[bucket]);
+  }
+  const { name, page, selector, iterations, cpuThrottling } = run.scenario;
+
+  return {
+    version: BENCHMARK_REPORT_VERSION,
+    scenario: { name, page, selector, iterations, cpuThrottling },
+    userAgent: run.userAgent || null,
+    generatedAt: new Date().toISOString(),
+    method,
+    overall: withHistograms({ count: stats.count, scrollStartLatency: stats.scrollStartLatency, smoothness: stats.smoothness }, samples.overall),
+    byVelocity,
+    bySource: stats.bySource
+  };
+}
+
+// === Module: Baseline Comparison ===
+
+/**
+ * Returns the thresholds for a group: per-bucket overrides on top of the defaults.
+ */
+function getGroupThresholds(thresholds, group) {
+  const overrides = (group !== 'overall' && thresholds.byVelocity && thresholds.byVelocity[group]) || {};
+  return {
+    smoothness: overrides.smoothness ?? thresholds.smoothness ?? CONFIG.DEFAULT_SMOOTHNESS_THRESHOLD,
+    scrollStartLatency: overrides.scrollStartLatency ?? thresholds.scrollStartLatency ?? CONFIG.DEFAULT_LATENCY_THRESHOLD_MS
+  };
+}
+
+/**
+ * Compares a report against a baseline of the same scenario. A group (overall, or a velocity
+ * bucket present in both) regresses when its smoothness percentile drops by more than the
+ * smoothness threshold, or its latency percentile rises by more than the latency threshold.
+ * @param {Object} baseline - Saved report
+ * @param {Object} current - New report
+ * @param {Object} [thresholds]
+ * @param {number} [thresholds.percentile=75] - Percentile compared (50, 75 or 95)
+ * @param {number} [thresholds.smoothness=0.05] - Allowed smoothness drop
+ * @param {number} [thresholds.scrollStartLatency=10] - Allowed latency increase (ms)
+ * @param {number} [thresholds.minCount=3] - Groups with fewer entries in either report are skipped
+ * @param {Object} [thresholds.byVelocity] - Per-bucket overrides, e.g. { fast: { smoothness: 0.02 } }
+ * @returns {{passed: boolean, percentile: number, comparisons: Object[], regressions: Object[]}}
+ */
+function compareBenchmarkReports(baseline, current, thresholds = {}) {
+  for (const report of [baseline, current]) {
+    if (!report || report.version !== BENCHMARK_REPORT_VERSION) {
+      throw new TypeError(`[ScrollTimingBenchmark] Unsupported report version: ${report && report.version}`);
+    }
+  }
+  if (baseline.scenario.name !== current.scenario.name) {
+    throw new Error(`[ScrollTimingBenchmark] Can't compare scenario "${current.scenario.name}" against a baseline of "${baseline.scenario.name}"`);
+  }
+  if (baseline.method !== current.method) {
+    throw new Error(`[ScrollTimingBenchmark] Reports were scored with different methods: ${baseline.method} and ${current.method}`);
+  }
+
+  const percentile = thresholds.percentile ?? CONFIG.DEFAULT_PERCENTILE;
+  const minCount = thresholds.minCount ?? CONFIG.DEFAULT_MIN_COUNT;
+  const key = `p${percentile}`;
+  if (!(key in current.overall.smoothness)) {
+    throw new RangeError(`[ScrollTimingBenchmark] Reports don't have a p${percentile}`);
+  }
+
+  const groups = [['overall', baseline.overall, current.overall]];
+  for (const bucket of VELOCITY_BUCKET_ORDER) {
+    if (baseline.byVelocity[bucket] && current.byVelocity[bucket]) {
+      groups.push([bucket, baseline.byVelocity[bucket], current.byVelocity[bucket]]);
+    }
+  }
+
+  const comparisons = [];
+  for (const [group, before, after] of groups) {
+    const limits = getGroupThresholds(thresholds, group);
+    const skipped = before.count < minCount || after.count < minCount;
+    // Smoothness regresses downwards, latency upwards
+    for (const [metric, sign] of [['smoothness', -1], ['scrollStartLatency', 1]]) {
+      const baselineValue = before[metric][key];
+      const currentValue = after[metric][key];
+      const comparable = !skipped && baselineValue !== null && currentValue !== null;
+      const delta = comparable ? currentValue - baselineValue : null;
+      comparisons.push({
+        group,
+        metric,
+        baseline: baselineValue,
+        current: currentValue,
+        delta,
+        threshold: limits[metric],
+        skipped: !comparable,
+        regressed: comparable && delta * sign > limits[metric]
+      });
+    }
+  }
+
+  const regressions = comparisons.filter(comparison => comparison.regressed);
+  return { passed: regressions.length === 0, percentile, comparisons, regressions };
+}
+
+// === Module: HTML Rendering ===
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function formatNumber(value, digits) {
+  return value === null || value === undefined ? '–' : value.toFixed(digits);
+}
+
+function renderHistogram(bins, unit) {
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0) || 1;
+  let previous = null;
+  const rows = bins.map(bin => {
+    const label = bin.upTo === null ? `> ${previous}${unit}` : `≤ ${bin.upTo}${unit}`;
+    previous = bin.upTo;
+    const width = Math.round((bin.count / total) * 100);
+    return `<tr><td>${escapeHtml(label)}</td><td><div class="bar" style="width:${width}%"></div></td><td>${bin.count}</td></tr>`;
+  });
+  return `<table class="histogram">${rows.join('')}</table>`;
+}
+
+function renderGroup(title, group) {
+  const percentiles = Object.keys(group.smoothness);
+  const header = percentiles.map(p => `<th>${p}</th>`).join('');
+  return `
+    <section>
+      <h2>${escapeHtml(title)} <small>${group.count} entries</small></h2>
+      <table>
+        <tr><th></th>${header}</tr>
+        <tr><th>Smoothness</th>${percentiles.map(p => `<td>${formatNumber(group.smoothness[p], 3)}</td>`).join('')}</tr>
+        <tr><th>Scroll start latency (ms)</th>${percentiles.map(p => `<td>${formatNumber(group.scrollStartLatency[p], 1)}</td>`).join('')}</tr>
+      </table>
+      <div class="histograms">
+        <div><h3>Smoothness</h3>${renderHistogram(group.histograms.smoothness, '')}</div>
+        <div><h3>Latency</h3>${renderHistogram(group.histograms.scrollStartLatency, 'ms')}</div>
+      </div>
+    </section>`;
+}
+
+function renderComparison(comparison) {
+  const rows = comparison.comparisons.map(row => {
+    const digits = row.metric === 'smoothness' ? 3 : 1;
+    const status = row.skipped ? 'skipped' : row.regressed ? 'regressed' : 'ok';
+    return `<tr class="${status}"><td>${escapeHtml(row.group)}</td><td>${escapeHtml(row.metric)}</td>` +
+      `<td>${formatNumber(row.baseline, digits)}</td><td>${formatNumber(row.current, digits)}</td>` +
+      `<td>${formatNumber(row.delta, digits)}</td><td>${row.threshold}</td><td>${status}</td></tr>`;
+  });
+  return `
+    <section>
+      <h2>Baseline comparison (p${comparison.percentile}): ${comparison.passed ? 'passed' : 'regressed'}</h2>
+      <table>
+        <tr><th>Group</th><th>Metric</th><th>Baseline</th><th>Current</th><th>Delta</th><th>Threshold</th><th>Status</th></tr>
+        ${rows.join('')}
+      </table>
+    </section>`;
+}
+
+/**
+ * Renders a report, and optionally its baseline comparison, as a standalone HTML page.
+ * @param {Object} report - From createBenchmarkReport
+ * @param {Object|null} [comparison] - From compareBenchmarkReports
+ * @returns {string}
+ */
+function renderBenchmarkReportHtml(report, comparison = null) {
+  const { scenario } = report;
+  const groups = Object.entries(report.byVelocity).map(([bucket, group]) => renderGroup(`${bucket} scrolls`, group));
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Scroll benchmark: ${escapeHtml(scenario.name)}</title>
+  <style>
+    body { font: 14px/1.4 system-ui, sans-serif; margin: 24px; color: #1a1a1a; }
+    table { border-collapse: collapse; margin: 8px 0; }
+    th, td { padding: 4px 10px; text-align: right; border-bottom: 1px solid #ddd; }
+    th:first-child, td:first-child { text-align: left; }
+    .histograms { display: flex; gap: 32px; }
+    .histogram td:nth-child(2) { width: 200px; }
+    .bar { height: 10px; background: #4a7bd0; }
+    .regressed { background: #fde2e2; }
+    .skipped { color: #888; }
+    small { font-weight: normal; color: #666; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(scenario.name)}</h1>
+  <p>${escapeHtml(scenario.page)} · <code>${escapeHtml(scenario.selector)}</code> · ${scenario.iterations} iterations` +
+    `${scenario.cpuThrottling ? ` · ${scenario.cpuThrottling}× CPU throttling` : ''} · scored with ${escapeHtml(report.method)}</p>
+  <p><small>${escapeHtml(report.userAgent || 'unknown browser')} · ${escapeHtml(report.generatedAt)}</small></p>
+  ${comparison ? renderComparison(comparison) : ''}
+  ${renderGroup('All scrolls', report.overall)}
+  ${groups.join('')}
+</body>
+</html>
+`;
+}
+
+// === ESM Exports ===
+
+export {
+  normalizeScenario,
+  createBrowserDriver,
+  runScenario,
+  createBenchmarkReport,
+  compareBenchmarkReports,
+  renderBenchmarkReportHtml,
+  BENCHMARK_REPORT_VERSION,
+};
@@ -0,0 +1,3352 @@
+// Polyfill for Scroll Timing API (ESM)
+//
+// Side-effect free: nothing is patched until install() is called. polyfill.js is the
+// side-effect entry point that installs with default options on import.
+
+// === Configuration Constants ===
+const CONFIG = {
+  // Refresh rate measurement
+  DEFAULT_REFRESH_RATE: 60,
+  // Fixed reference rate for cross-device comparison (OPEN_QUESTIONS "Refresh Rate Baseline", Option A)
+  REFERENCE_REFRESH_RATE: 60,
+  REFRESH_RATE_SAMPLES: 60,
+  MIN_SAMPLES_FOR_CALCULATION: 10,
+  FRAME_TIME_MIN_MS: 0,
+  FRAME_TIME_MAX_MS: 100, // Sanity check: between 10fps and 1000fps
+  // Refresh rates change mid-session (DevTools, battery saver, VRR, monitor moves),
+  // so both measurements are periodically repeated at a low duty cycle
+  REFRESH_RATE_REMEASURE_INTERVAL_MS: 10000,
+  REFRESH_RATE_RESIZE_DEBOUNCE_MS: 500,
+  REFRESH_RATE_CHANGE_LOG_THRESHOLD_HZ: 1,
+
+  // Scroll detection timing
+  INPUT_HINT_TIMEOUT_MS: 250,
+  SCROLL_END_TIMEOUT_MS: 150,
+  // Where the native 'scrollend' event ends entries, the timeout is only a safety net
+  SCROLL_END_FALLBACK_TIMEOUT_MS: 1000,
+  // Scrollbar drags and autoscroll keep attributing scrolls until the pointer is released,
+  // another input arrives, or the scroller stays still this long
+  POINTER_SCROLL_IDLE_TIMEOUT_MS: 1000,
+  // Wheel and key events arrive in bursts; frames within this long of the last one are
+  // still driven by the input, later ones are momentum (or snap settle)
+  INPUT_PHASE_GAP_MS: 100,
+
+  // Boundary hits (DESIGN_NOTES "Zero scroll distance"): this many hits on the same
+  // scroller within the window are flagged as frustrated scrolling
+  FRUSTRATION_WINDOW_MS: 3000,
+  FRUSTRATION_MIN_HITS: 3,
+
+  // Velocity buckets in px/s (DESIGN_NOTES "Scroll Velocity": slow <1000, medium 1000-3000, fast >3000)
+  VELOCITY_SLOW_MAX_PX_PER_S: 1000,
+  VELOCITY_MEDIUM_MAX_PX_PER_S: 3000,
+
+  // Long animation frames kept for attributing jank to scrolls that end after them
+  LONG_FRAME_BUFFER_SIZE: 50,
+
+  // Opt-in scroll handler timing: invocations kept for attribution, and handlers listed per entry
+  HANDLER_INVOCATION_BUFFER_SIZE: 500,
+  HANDLER_TIMING_TOP_HANDLERS: 5,
+
+  // Performance timeline buffer (entries kept for buffered observers and getEntries*())
+  SCROLL_TIMELINE_BUFFER_SIZE: 150,
+};
+
+// Defaults restored by uninstall(), since install() options override CONFIG values
+const DEFAULT_CONFIG = Object.freeze({ ...CONFIG });
+
+// install() options that override CONFIG values, and whether each must be an integer
+const CONFIG_OPTIONS = {
+  scrollEndTimeout: { key: 'SCROLL_END_TIMEOUT_MS', integer: false },
+  scrollEndFallbackTimeout: { key: 'SCROLL_END_FALLBACK_TIMEOUT_MS', integer: false },
+  inputHintTimeout: { key: 'INPUT_HINT_TIMEOUT_MS', integer: false },
+  refreshRateSamples: { key: 'REFRESH_RATE_SAMPLES', integer: true },
+  minRefreshRateSamples: { key: 'MIN_SAMPLES_FOR_CALCULATION', integer: true },
+  refreshRateRemeasureInterval: { key: 'REFRESH_RATE_REMEASURE_INTERVAL_MS', integer: false },
+};
+
+// Diagnostics go through a console-compatible logger (see install({ logger }))
+const SILENT_LOGGER = Object.freeze({ log() {}, warn() {} });
+let logger = console;
+
+// Clock and frame/timer scheduling used by the polyfill. install({ scheduler }) replaces them
+// with a virtual clock so tests are deterministic (see testing.js)
+const SCHEDULER_METHODS = ['now', 'requestAnimationFrame', 'cancelAnimationFrame', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'];
+const DEFAULT_SCHEDULER = Object.freeze({
+  now: () => performance.now(),
+  requestAnimationFrame: callback => window.requestAnimationFrame(callback),
+  cancelAnimationFrame: id => window.cancelAnimationFrame(id),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: id => clearTimeout(id),
+  setInterval: (callback, delay) => setInterval(callback, delay),
+  clearInterval: id => clearInterval(id),
+});
+let scheduler = DEFAULT_SCHEDULER;
+
+// Valid scroll source values for validation
+// 'scrollbar' and 'autoscroll' (middle-click) are only reported when an observer opts in
+const VALID_SCROLL_SOURCES = new Set(['touch', 'wheel', 'keyboard', 'other', 'programmatic', 'scrollbar', 'autoscroll']);
+
+// How the end of a scroll interaction was detected
+// ('boundary': input at a scroll boundary that never turned into a scroll;
+// 'hidden': cut off because the page was hidden mid-scroll)
+const VALID_END_DETECTIONS = new Set(['scrollend', 'timeout', 'interruption', 'boundary', 'hidden']);
+
+// Velocity buckets for segmenting entries
+const VELOCITY_BUCKETS = new Set(['slow', 'medium', 'fast']);
+
+// Behaviors a programmatic scroll can resolve to
+const SCROLL_BEHAVIORS = new Set(['smooth', 'instant']);
+
+// Phases of a scroll interaction (see ActiveScrollState.getFramePhase)
+const SCROLL_PHASES = new Set(['active', 'momentum', 'snap', 'overscroll']);
+
+// Sources whose input events mark when direct input stops; other sources drive the
+// scroll for its whole duration
+const PHASED_SCROLL_SOURCES = new Set(['touch', 'wheel', 'keyboard']);
+
+// Scroll keys for keyboard detection
+const SCROLL_KEYS = new Set(['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End', ' ']);
+
+// Direction each scroll key scrolls in, as [x, y] signs (Shift+Space reverses Space)
+const SCROLL_KEY_DIRECTIONS = {
+  ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0],
+  PageUp: [0, -1], PageDown: [0, 1], Home: [0, -1], End: [0, 1], ' ': [0, 1]
+};
+
+// Edges a scroll attempt can be stopped at
+const SCROLL_EDGES = new Set(['top', 'bottom', 'left', 'right']);
+
+// === Module: Refresh Rate Measurement ===
+
+// Dual measurement system:
+// 1. Web Worker measures baseline "ideal" refresh rate (unaffected by main thread jank)
+// 2. Main thread rAF tracks actual frame production during scrolling
+let estimatedRefreshRate = CONFIG.DEFAULT_REFRESH_RATE;
+let baselineRefreshRate = CONFIG.DEFAULT_REFRESH_RATE;
+let measuringRefreshRate = false;
+let refreshRateWorker = null;
+// install({ worker: false }) skips the blob: URL worker, e.g. under a CSP without worker-src blob:
+let useRefreshRateWorker = true;
+let refreshRateRemeasureIntervalId = null;
+let refreshRateResizeTimeoutId = null;
+// Incremented to abandon an in-progress main thread measurement
+let refreshRateMeasurementId = 0;
+
+/**
+ * Creates a Web Worker that measures baseline refresh rate using requestAnimationFrame.
+ * Workers support rAF (tied to display vsync) and run independently of main thread blocking,
+ * providing a stable baseline even when the main thread is busy.
+ */
+function createRefreshRateWorker() {
+  const workerCode = `
+    const CONFIG = {
+      REFRESH_RATE_SAMPLES: ${CONFIG.REFRESH_RATE_SAMPLES},
+      MIN_SAMPLES_FOR_CALCULATION: ${CONFIG.MIN_SAMPLES_FOR_CALCULATION},
+      FRAME_TIME_MIN_MS: ${CONFIG.FRAME_TIME_MIN_MS},
+      FRAME_TIME_MAX_MS: ${CONFIG.FRAME_TIME_MAX_MS}
+    };
+
+    let frameDeltaSamples = [];
+    let lastTimestamp = null;
+    let sampleCount = 0;
+    let running = false;
+
+    function measureLoop(timestamp) {
+      if (!running) return;
+
+      if (lastTimestamp !== null) {
+        const delta = timestamp - lastTimestamp;
+        // Sanity check: only accept deltas between 10fps and 1000fps
+        if (delta > CONFIG.FRAME_TIME_MIN_MS && delta < CONFIG.FRAME_TIME_MAX_MS) {
+          frameDeltaSamples.push(delta);
+        }
+      }
+
+      lastTimestamp = timestamp;
+      sampleCount++;
+
+      if (sampleCount < CONFIG.REFRESH_RATE_SAMPLES) {
+        // Use requestAnimationFrame to measure display refresh rate
+        // Workers support rAF and it's tied to the display's actual vsync
+        requestAnimationFrame(measureLoop);
+      } else {
+        // Calculate median frame time to avoid outliers
+        if (frameDeltaSamples.length >= CONFIG.MIN_SAMPLES_FOR_CALCULATION) {
+          frameDeltaSamples.sort((a, b) => a - b);
+          const median = frameDeltaSamples[Math.floor(frameDeltaSamples.length / 2)];
+          const measuredRate = 1000 / median;
+
+          postMessage({
+            type: 'refreshRate',
+            rate: measuredRate,
+            samples: frameDeltaSamples.length
+          });
+        }
+        running = false;
+      }
+    }
+
+    self.addEventListener('message', (e) => {
+      // Samples taken while the page is hidden are discarded; the page restarts on visible
+      if (e.data.type === 'stop') {
+        running = false;
+        return;
+      }
+      if (e.data.type === 'start' && !running) {
+        running = true;
+        frameDeltaSamples = [];
+        lastTimestamp = null;
+        sampleCount = 0;
+        requestAnimationFrame(measureLoop);
+      }
+    });
+  `;
+
+  const blob = new Blob([workerCode], { type: 'application/javascript' });
+  const workerUrl = URL.createObjectURL(blob);
+
+  try {
+    const worker = new Worker(workerUrl);
+
+    worker.addEventListener('message', (e) => {
+      if (e.data.type === 'refreshRate') {
+        const previousRate = baselineRefreshRate;
+        baselineRefreshRate = e.data.rate;
+        if (Math.abs(previousRate - baselineRefreshRate) >= CONFIG.REFRESH_RATE_CHANGE_LOG_THRESHOLD_HZ) {
+          logger.log(`[ScrollTimingPolyfill] Worker measured baseline refresh rate: ${e.data.rate.toFixed(2)} Hz (${e.data.samples} samples)`);
+        }
+      }
+    });
+
+    worker.addEventListener('error', (e) => {
+      logger.warn('[ScrollTimingPolyfill] Worker error:', e.message);
+    });
+
+    return worker;
+  } catch (error) {
+    logger.warn('[ScrollTimingPolyfill] Failed to create worker:', error);
+    URL.revokeObjectURL(workerUrl);
+    return null;
+  }
+}
+
+/**
+ * Measures the main thread refresh rate using requestAnimationFrame.
+ * This represents the actual frame rate achievable on the main thread,
+ * which may be lower than the baseline due to main thread blocking.
+ */
+function measureMainThreadRefreshRate() {
+  if (measuringRefreshRate) return;
+  measuringRefreshRate = true;
+
+  const measurementId = ++refreshRateMeasurementId;
+  const frameDeltaSamples = [];
+  let lastTimestamp = null;
+  let sampleCount = 0;
+
+  function sample(timestamp) {
+    if (measurementId !== refreshRateMeasurementId) return;
+    // Hidden pages get no or heavily throttled frames: drop the whole measurement
+    if (document.visibilityState === 'hidden') {
+      abortRefreshRateMeasurement();
+      return;
+    }
+
+    if (lastTimestamp !== null) {
+      const delta = timestamp - lastTimestamp;
+      // Sanity check: only accept deltas between 10fps and 1000fps
+      if (delta > CONFIG.FRAME_TIME_MIN_MS && delta < CONFIG.FRAME_TIME_MAX_MS) {
+        frameDeltaSamples.push(delta);
+      }
+    }
+    lastTimestamp = timestamp;
+    sampleCount++;
+
+    if (sampleCount < CONFIG.REFRESH_RATE_SAMPLES) {
+      scheduler.requestAnimationFrame(sample);
+    } else {
+      // Calculate median frame time to avoid outliers
+      if (frameDeltaSamples.length >= CONFIG.MIN_SAMPLES_FOR_CALCULATION) {
+        frameDeltaSamples.sort((a, b) => a - b);
+        const median = frameDeltaSamples[Math.floor(frameDeltaSamples.length / 2)];
+        const previousRate = estimatedRefreshRate;
+        estimatedRefreshRate = 1000 / median;
+        // Without a worker (disabled or blocked) there's no independent baseline
+        if (!refreshRateWorker) baselineRefreshRate = estimatedRefreshRate;
+        if (Math.abs(previousRate - estimatedRefreshRate) >= CONFIG.REFRESH_RATE_CHANGE_LOG_THRESHOLD_HZ) {
+          logger.log(`[ScrollTimingPolyfill] Main thread measured refresh rate: ${estimatedRefreshRate.toFixed(2)} Hz (${frameDeltaSamples.length} samples)`);
+        }
+      }
+      measuringRefreshRate = false;
+    }
+  }
+
+  scheduler.requestAnimationFrame(sample);
+}
+
+/**
+ * Initializes both worker and main thread refresh rate measurements.
+ * The worker provides baseline, while main thread rAF provides actual achievable rate.
+ */
+function initializeRefreshRateMeasurement() {
+  // Start worker measurement for baseline
+  refreshRateWorker = useRefreshRateWorker ? createRefreshRateWorker() : null;
+  if (refreshRateWorker) {
+    refreshRateWorker.postMessage({ type: 'start' });
+  }
+
+  // Start main thread measurement for actual rate
+  measureMainThreadRefreshRate();
+
+  startRefreshRateTracking();
+}
+
+/**
+ * Repeats both refresh rate measurements. Skipped while the page is hidden (rAF is paused
+ * or heavily throttled) and while a scroll is active, so the extra rAF sampling never
+ * overlaps the frames being measured for an entry.
+ */
+function remeasureRefreshRate() {
+  if (document.visibilityState === 'hidden') return;
+  if (activeScrolls.size > 0) return;
+
+  if (refreshRateWorker) {
+    refreshRateWorker.postMessage({ type: 'start' });
+  }
+  measureMainThreadRefreshRate();
+}
+
+/**
+ * Abandons in-progress measurements, discarding their samples (used when the page is hidden
+ * and on uninstall).
+ */
+function abortRefreshRateMeasurement() {
+  refreshRateMeasurementId++;
+  measuringRefreshRate = false;
+  if (refreshRateWorker) {
+    refreshRateWorker.postMessage({ type: 'stop' });
+  }
+}
+
+/**
+ * Watches for conditions that change the refresh rate mid-session: the tab becoming
+ * visible again, window resizes, and moves to a display with a different pixel ratio.
+ * A low duty cycle interval catches changes with no observable event (DevTools, battery saver).
+ * Measurements in progress when the tab is hidden are dropped and redone once it's visible.
+ */
+function startRefreshRateTracking() {
+  addPolyfillListener(document, 'visibilitychange', () => {
+    if (document.visibilityState === 'visible') remeasureRefreshRate();
+    else abortRefreshRateMeasurement();
+  });
+
+  addPolyfillListener(window, 'resize', () => {
+    scheduler.clearTimeout(refreshRateResizeTimeoutId);
+    refreshRateResizeTimeoutId = scheduler.setTimeout(remeasureRefreshRate, CONFIG.REFRESH_RATE_RESIZE_DEBOUNCE_MS);
+  }, { passive: true });
+
+  watchDevicePixelRatio();
+
+  refreshRateRemeasureIntervalId = scheduler.setInterval(remeasureRefreshRate, CONFIG.REFRESH_RATE_REMEASURE_INTERVAL_MS);
+}
+
+/**
+ * Re-measures when the device pixel ratio changes, which usually means the window moved
+ * to another monitor. The media query matches the current ratio, so it's re-armed each time.
+ */
+function watchDevicePixelRatio() {
+  if (typeof window.matchMedia !== 'function') return;
+  const query = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+  if (typeof query.addEventListener !== 'function') return;
+
+  addPolyfillListener(query, 'change', () => {
+    remeasureRefreshRate();
+    watchDevicePixelRatio();
+  }, { once: true });
+}
+
+/**
+ * Stops all refresh rate measurement: abandons an in-progress sample loop so it schedules no
+ * more frames, terminates the worker and clears pending re-measurements.
+ */
+function stopRefreshRateMeasurement() {
+  abortRefreshRateMeasurement();
+  if (refreshRateWorker) {
+    refreshRateWorker.terminate();
+    refreshRateWorker = null;
+  }
+  scheduler.clearInterval(refreshRateRemeasureIntervalId);
+  scheduler.clearTimeout(refreshRateResizeTimeoutId);
+  refreshRateRemeasureIntervalId = null;
+  refreshRateResizeTimeoutId = null;
+}
+
+// Refresh rate measurement initialization (will be called during polyfill initialization)
+
+// === Module: Input Source Detection ===
+
+// Input hints help determine the scroll source (wheel, touch, keyboard) because
+// scroll events themselves don't expose which input method triggered them.
+// We track hints per-scroller (inputHints WeakMap) and globally (lastInputHint)
+// to handle both element scrolls and cases where scroll events report incorrect targets.
+const inputHints = new WeakMap();
+let lastInputHint = null;
+
+// Whether a finger is currently on the screen. Touch scrolls don't end while the
+// finger is down; lifting it marks the boundary between direct input and momentum.
+let touchInputActive = false;
+// Last touch position, for the direction a touchmove scrolls in
+let lastTouchPoint = null;
+
+/**
+ * Records that a specific input type occurred on a scroll container.
+ * This hint can be consumed within INPUT_HINT_TIMEOUT_MS to attribute scroll source.
+ * @param {Element} scroller - The scroll container the input is expected to scroll
+ * @param {string} source - Scroll source: 'touch', 'wheel', 'keyboard', 'programmatic', 'scrollbar', 'autoscroll'
+ * @param {Object} [details] - Extra source-specific data stored with the hint (e.g. { behavior }, or the
+ *   intended scroll direction { deltaX, deltaY } of wheel, touch and keyboard input)
+ * @param {Event} [event] - The input event, so a boundary check can skip it if its default gets prevented
+ */
+function recordInputSourceHint(scroller, source, details, event) {
+  if (!scroller) return;
+  const time = scheduler.now();
+  // Where the scroller was before the input moved it, so the scroll it starts counts its
+  // first frame's movement; a scroll already in progress owns the movement instead
+  const startPosition = activeScrolls.has(scroller)
+    ? null
+    : { scrollTop: scroller.scrollTop || 0, scrollLeft: scroller.scrollLeft || 0 };
+  inputHints.set(scroller, { ...details, source, time, scroller, startPosition });
+  lastInputHint = { scroller, time };
+
+  const state = activeScrolls.get(scroller);
+  if (state && state.source === source) state.onInputEvent(time);
+  trackBoundaryAttempt(scroller, source, details, time, event);
+}
+
+/**
+ * Returns the most recently hinted scroller if within the timeout window.
+ * Used as a fallback when scroll events report the wrong target.
+ */
+function getMostRecentHintedScroller() {
+  if (!lastInputHint) return null;
+  if (scheduler.now() - lastInputHint.time > CONFIG.INPUT_HINT_TIMEOUT_MS) {
+    lastInputHint = null;
+    return null;
+  }
+  return lastInputHint.scroller;
+}
+
+/**
+ * Retrieves and clears the input hint for a specific scroller.
+ * Returns null if no hint exists or if the hint has expired.
+ */
+function getAndClearInputHint(scroller) {
+  const hint = inputHints.get(scroller);
+  if (!hint) return null;
+  if (scheduler.now() - hint.time > CONFIG.INPUT_HINT_TIMEOUT_MS) {
+    inputHints.delete(scroller);
+    return null;
+  }
+  inputHints.delete(scroller);
+  return hint;
+}
+
+// === Module: Scrollbar & Autoscroll Detection ===
+
+// OPEN_QUESTIONS "Scrollbar as a Distinct Scroll Source": no web API exposes scrollbar
+// interaction, so this is off unless an observer opts in with
+// `observe({ type: 'scroll', scrollbarSource: true })`. Presses on a scroller's scrollbar
+// gutter are hinted as 'scrollbar' and middle-button presses as 'autoscroll'. Both keep
+// driving the scroller long after the press, so the press starts a session that re-hints
+// the scroller on each of its scroll events (see onScrollEvent).
+let pointerScrollSession = null;
+
+/**
+ * Whether any registered observer opted into scrollbar and autoscroll attribution.
+ */
+function isScrollbarSourceRequested() {
+  for (const record of scrollObservers) {
+    if (record.options.scrollbarSource) return true;
+  }
+  return false;
+}
+
+/**
+ * Returns which of an element's scrollbars contains a viewport point, using the gutter
+ * left over between its border box (offsetWidth/offsetHeight minus borders) and its
+ * padding box (clientWidth/clientHeight). Overlay scrollbars take no space and never match.
+ * @returns {'vertical'|'horizontal'|null}
+ */
+function getScrollbarAtPoint(element, clientX, clientY) {
+  const doc = element.ownerDocument;
+  const view = doc.defaultView || window;
+
+  // The root scroller's scrollbars belong to the viewport
+  if (element === getRootScrollerElement(doc) || element === doc.body) {
+    const root = doc.documentElement;
+    if (view.innerWidth > root.clientWidth && clientX >= root.clientWidth && clientY < root.clientHeight) return 'vertical';
+    if (view.innerHeight > root.clientHeight && clientY >= root.clientHeight && clientX < root.clientWidth) return 'horizontal';
+    return null;
+  }
+
+  const style = view.getComputedStyle(element);
+  const borderX = (parseFloat(style.borderLeftWidth) || 0) + (parseFloat(style.borderRightWidth) || 0);
+  const borderY = (parseFloat(style.borderTopWidth) || 0) + (parseFloat(style.borderBottomWidth) || 0);
+  const verticalWidth = element.offsetWidth - element.clientWidth - borderX;
+  const horizontalHeight = element.offsetHeight - element.clientHeight - borderY;
+  if (verticalWidth <= 0 && horizontalHeight <= 0) return null;
+
+  // clientLeft/clientTop include a scrollbar placed on the start side (e.g. direction: rtl)
+  const rect = element.getBoundingClientRect();
+  const x = clientX - rect.left;
+  const y = clientY - rect.top;
+  const paddingLeft = element.clientLeft;
+  const paddingTop = element.clientTop;
+  const paddingRight = paddingLeft + element.clientWidth;
+  const paddingBottom = paddingTop + element.clientHeight;
+  const withinRows = y >= paddingTop && y < paddingBottom;
+  const withinColumns = x >= paddingLeft && x < paddingRight;
+
+  if (verticalWidth > 0 && withinRows) {
+    const startSide = paddingLeft - verticalWidth >= 0 && x >= paddingLeft - verticalWidth && x < paddingLeft;
+    const endSide = x >= paddingRight && x < paddingRight + verticalWidth;
+    if (startSide || endSide) return 'vertical';
+  }
+  if (horizontalHeight > 0 && withinColumns && y >= paddingBottom && y < paddingBottom + horizontalHeight) {
+    return 'horizontal';
+  }
+  return null;
+}
+
+/**
+ * Finds the scroller whose scrollbar is under the pointer, innermost first.
+ * @returns {{scroller: Element, scrollbar: string}|null}
+ */
+function findScrollbarUnderPointer(event) {
+  const path = typeof event.composedPath === 'function' ? event.composedPath() : [event.target];
+  for (const node of path) {
+    if (!node || node.nodeType !== 1 || !canElementScroll(node)) continue;
+    const scrollbar = getScrollbarAtPoint(node, event.clientX, event.clientY);
+    if (scrollbar) return { scroller: normalizeScrollTarget(node), scrollbar };
+  }
+  return null;
+}
+
+/**
+ * Starts a scrollbar drag or autoscroll session on a scroller and hints it.
+ */
+function startPointerScrollSession(scroller, source, details) {
+  recordInputSourceHint(scroller, source, details);
+  pointerScrollSession = { scroller, source, details, lastActivityTime: scheduler.now() };
+}
+
+/**
+ * Ends the current scrollbar drag or autoscroll session, if any.
+ */
+function endPointerScrollSession() {
+  pointerScrollSession = null;
+}
+
+/**
+ * Re-hints a scroller driven by an ongoing scrollbar drag or autoscroll session, unless
+ * other input has hinted it since. Sessions expire once the scroller stays idle.
+ */
+function refreshPointerScrollHint(scroller) {
+  const session = pointerScrollSession;
+  if (!session || session.scroller !== scroller) return;
+
+  const now = scheduler.now();
+  if (now - session.lastActivityTime > CONFIG.POINTER_SCROLL_IDLE_TIMEOUT_MS) {
+    endPointerScrollSession();
+    return;
+  }
+  session.lastActivityTime = now;
+  if (!inputHints.has(scroller)) recordInputSourceHint(scroller, session.source, session.details);
+}
+
+// === Module: Programmatic Scroll Detection ===
+
+// Script-initiated scrolls have no wheel/touch/keyboard input to hint from, so the
+// scrolling APIs are wrapped to record a 'programmatic' hint on the affected scroller
+// before delegating to the original implementation.
+const SCROLL_METHODS = ['scroll', 'scrollTo', 'scrollBy'];
+const SCROLL_OFFSET_PROPERTIES = ['scrollTop', 'scrollLeft'];
+const originalScrollApis = [];
+
+/**
+ * Resolves whether a programmatic scroll will animate ('smooth') or jump ('instant').
+ * A missing or 'auto' behavior defers to the scroller's computed scroll-behavior.
+ */
+function resolveScrollBehavior(scroller, options) {
+  const behavior = options && typeof options === 'object' ? options.behavior : undefined;
+  if (behavior === 'smooth' || behavior === 'instant') return behavior;
+  if (!scroller || scroller.nodeType !== 1) return 'instant';
+  const view = scroller.ownerDocument.defaultView || window;
+  return view.getComputedStyle(scroller).scrollBehavior === 'smooth' ? 'smooth' : 'instant';
+}
+
+/**
+ * Records a 'programmatic' hint for a scroll API call on window or an element.
+ */
+function recordProgrammaticScrollHint(rawTarget, options) {
+  const scroller = normalizeScrollTarget(rawTarget);
+  recordInputSourceHint(scroller, 'programmatic', { behavior: resolveScrollBehavior(scroller, options) });
+}
+
+/**
+ * Records 'programmatic' hints for every container scrollIntoView() may scroll.
+ * Ancestors are recorded innermost first so the root scroller is the most recent hint,
+ * which keeps root scroll events from being redirected to an inner container.
+ */
+function recordScrollIntoViewHints(element, options) {
+  if (!element) return;
+  let ancestor = getComposedParentElement(element);
+  while (ancestor) {
+    if (canElementScroll(ancestor)) recordProgrammaticScrollHint(ancestor, options);
+    ancestor = getComposedParentElement(ancestor);
+  }
+  recordProgrammaticScrollHint(getRootScrollerElement(element.ownerDocument), options);
+}
+
+/**
+ * Replaces a scroll method on `owner` with a wrapper that records a hint first.
+ * `defaultTarget` stands in for `this` when a global function is called unqualified.
+ */
+function wrapScrollMethod(owner, name, recordHint, defaultTarget) {
+  const descriptor = Object.getOwnPropertyDescriptor(owner, name);
+  if (!descriptor || typeof descriptor.value !== 'function') return;
+
+  const original = descriptor.value;
+  Object.defineProperty(owner, name, {
+    ...descriptor,
+    value: function(...args) {
+      recordHint(this ?? defaultTarget, args[0]);
+      return original.apply(this, args);
+    }
+  });
+  originalScrollApis.push({ owner, name, descriptor });
+}
+
+/**
+ * Replaces a scrollTop/scrollLeft setter on `owner` with one that records a hint first.
+ * Writes that don't change the offset are ignored since they won't produce a scroll event.
+ */
+function wrapScrollOffsetSetter(owner, name) {
+  const descriptor = Object.getOwnPropertyDescriptor(owner, name);
+  if (!descriptor || typeof descriptor.set !== 'function') return;
+
+  Object.defineProperty(owner, name, {
+    ...descriptor,
+    set(value) {
+      if (!descriptor.get || descriptor.get.call(this) !== Number(value)) {
+        recordProgrammaticScrollHint(this);
+      }
+      descriptor.set.call(this, value);
+    }
+  });
+  originalScrollApis.push({ owner, name, descriptor });
+}
+
+/**
+ * Wraps window and Element scrolling APIs so programmatic scrolls can be attributed.
+ * @param {Window} [view=window] - The window to instrument (same-origin iframes have their own)
+ */
+function installProgrammaticScrollHooks(view = window) {
+  // [Global] interface members normally live on the window itself, but fall back to the prototype
+  const windowOwner = Object.prototype.hasOwnProperty.call(view, 'scrollTo') ? view : view.Window.prototype;
+  const elementPrototype = view.Element.prototype;
+
+  for (const name of SCROLL_METHODS) {
+    wrapScrollMethod(windowOwner, name, recordProgrammaticScrollHint, view);
+    wrapScrollMethod(elementPrototype, name, recordProgrammaticScrollHint);
+  }
+  wrapScrollMethod(elementPrototype, 'scrollIntoView', recordScrollIntoViewHints);
+
+  for (const name of SCROLL_OFFSET_PROPERTIES) {
+    wrapScrollOffsetSetter(elementPrototype, name);
+  }
+}
+
+/**
+ * Restores the original scrolling APIs, most recently wrapped first.
+ */
+function uninstallProgrammaticScrollHooks() {
+  originalScrollApis.splice(0).reverse().forEach(({ owner, name, descriptor }) => {
+    Object.defineProperty(owner, name, descriptor);
+  });
+}
+
+// === Module: Scroll Target Detection ===
+
+/**
+ * Returns the root scroller element (document.scrollingElement or documentElement).
+ * @param {Document} [doc=document] - The document whose root scroller to return (e.g. a same-origin iframe's)
+ */
+function getRootScrollerElement(doc = document) {
+  return doc.scrollingElement || doc.documentElement;
+}
+
+/**
+ * Returns the parent element of an element, stepping from a shadow root to its host.
+ */
+function getComposedParentElement(element) {
+  if (element.parentElement) return element.parentElement;
+  const root = element.parentNode;
+  return root && root.nodeType === 11 && root.host ? root.host : null;
+}
+
+/**
+ * Normalizes various scroll target representations to a consistent Element reference.
+ * Handles window, document, document nodes, text nodes, and special cases for body/documentElement.
+ * Windows, documents and root elements of same-origin iframes map to that iframe's own root scroller.
+ */
+function normalizeScrollTarget(rawTarget) {
+  if (!rawTarget) return getRootScrollerElement();
+
+  // Window (possibly an iframe's, from another realm)
+  if (rawTarget.window === rawTarget) return getRootScrollerElement(rawTarget.document);
+
+  // Document node
+  if (rawTarget.nodeType === 9) return getRootScrollerElement(rawTarget);
+
+  // Text node → use parent element
+  if (rawTarget.nodeType === 3) return normalizeScrollTarget(rawTarget.parentElement);
+
+  // Element
+  if (rawTarget.nodeType === 1) {
+    const element = rawTarget;
+    const doc = element.ownerDocument;
+    if (element === doc.documentElement || element === doc.body) {
+      return getRootScrollerElement(doc);
+    }
+    return element;
+  }
+
+  return getRootScrollerElement();
+}
+
+/**
+ * Checks if an element can scroll based on its overflow properties and content size.
+ * The +1 in dimension checks accounts for fractional pixel rounding in some browsers.
+ */
+function canElementScroll(element) {
+  if (!element || element.nodeType !== 1) return false;
+
+  // The root scroller is always considered potentially scrollable
+  const doc = element.ownerDocument;
+  if (element === doc.documentElement || element === doc.body) return true;
+
+  const style = (doc.defaultView || window).getComputedStyle(element);
+  const overflowY = style.overflowY;
+  const overflowX = style.overflowX;
+
+  const hasScrollableOverflowY = ['auto', 'scroll', 'overlay'].includes(overflowY);
+  const hasScrollableOverflowX = ['auto', 'scroll', 'overlay'].includes(overflowX);
+  const hasVerticalOverflow = element.scrollHeight > element.clientHeight + 1;
+  const hasHorizontalOverflow = element.scrollWidth > element.clientWidth + 1;
+
+  const canScrollY = hasScrollableOverflowY && hasVerticalOverflow;
+  const canScrollX = hasScrollableOverflowX && hasHorizontalOverflow;
+
+  return canScrollY || canScrollX;
+}
+
+/**
+ * Finds the scrollable container for an input event by walking up the DOM tree.
+ * Uses composedPath when available to properly handle shadow DOM.
+ */
+function findScrollableFromEventTarget(event) {
+  const composedPath = typeof event.composedPath === 'function' ? event.composedPath() : null;
+  if (Array.isArray(composedPath)) {
+    for (const node of composedPath) {
+      if (node && node.nodeType === 1 && canElementScroll(node)) {
+        return normalizeScrollTarget(node);
+      }
+    }
+  }
+
+  let element = event.target && event.target.nodeType === 1
+    ? event.target
+    : (event.target && event.target.parentElement);
+
+  while (element) {
+    if (canElementScroll(element)) return normalizeScrollTarget(element);
+    element = element.parentElement;
+  }
+
+  const target = event.target;
+  const doc = target ? (target.nodeType === 9 ? target : target.ownerDocument || target.document) : null;
+  return getRootScrollerElement(doc || document);
+}
+
+/**
+ * Returns where a scroller lives relative to the top-level document: the same-origin
+ * iframe element hosting its document and the shadow host it's rendered in (innermost).
+ * @returns {{frame: Element|null, shadowHost: Element|null}}
+ */
+function getScrollContext(scroller) {
+  const rootNode = typeof scroller.getRootNode === 'function' ? scroller.getRootNode() : null;
+  const view = scroller.ownerDocument.defaultView;
+  let frame = null;
+  try {
+    frame = view && view !== window ? view.frameElement : null;
+  } catch (error) {
+    // Cross-origin ancestors hide frameElement; such documents aren't instrumented anyway
+  }
+  return {
+    frame,
+    shadowHost: rootNode && rootNode.nodeType === 11 && rootNode.host ? rootNode.host : null
+  };
+}
+
+/**
+ * Whether `node` is `ancestor` or inside its subtree, looking through shadow roots
+ * and same-origin iframes.
+ */
+function isInComposedSubtree(ancestor, node) {
+  let current = node;
+  while (current) {
+    if (current === ancestor || (ancestor.contains && ancestor.contains(current))) return true;
+    const rootNode = typeof current.getRootNode === 'function' ? current.getRootNode() : null;
+    if (rootNode && rootNode.nodeType === 11 && rootNode.host) {
+      current = rootNode.host;
+    } else {
+      current = getScrollContext(current).frame;
+    }
+  }
+  return false;
+}
+
+// === Module: Checkerboard Estimation ===
+
+// Checkerboarding can't be observed without browser internals, so this opt-in estimator
+// approximates it: images that haven't loaded/decoded and developer-marked placeholder
+// (skeleton) elements that are visible in the scroller count as unpainted area.
+// Visibility comes from an IntersectionObserver, so areas are quantized to its thresholds.
+const CHECKERBOARD_THRESHOLDS = [0, 0.25, 0.5, 0.75, 1];
+const CHECKERBOARD_CANDIDATE_SELECTOR = 'img';
+
+// One tracker per scroller, kept across scrolls: IntersectionObserver reports asynchronously,
+// so a fresh observer per scroll would miss unpainted area in the scroll's first frames.
+// Trackers are released when their scroller leaves the document, when no observer asks
+// for estimation anymore, and on uninstall.
+const checkerboardTrackers = new Map();
+
+/**
+ * Whether `node` is `ancestor` or inside its subtree, looking through shadow roots (but not iframes).
+ */
+function isInShadowIncludingSubtree(ancestor, node) {
+  let current = node;
+  while (current) {
+    if (ancestor.contains(current)) return true;
+    const rootNode = current.getRootNode();
+    current = rootNode.nodeType === 11 && rootNode.host ? rootNode.host : null;
+  }
+  return false;
+}
+
+/**
+ * Tracks which checkerboard candidates (images and placeholder elements) are visible in a
+ * scroller, including those in open shadow roots inside it and those inserted later.
+ */
+class CheckerboardTracker {
+  /**
+   * @param {Element} scroller - The scroll container
+   * @param {string|null} placeholderSelector - Selector for placeholder/skeleton elements
+   */
+  constructor(scroller, placeholderSelector) {
+    this.scroller = scroller;
+    this.requestedSelector = placeholderSelector;
+    this.isRootScroller = scroller === getRootScrollerElement(scroller.ownerDocument);
+    const isTopLevelRoot = this.isRootScroller && scroller.ownerDocument === document;
+    this.placeholderSelector = null;
+    this.selector = CHECKERBOARD_CANDIDATE_SELECTOR;
+    if (placeholderSelector) {
+      try {
+        scroller.ownerDocument.createDocumentFragment().querySelector(placeholderSelector);
+        this.placeholderSelector = placeholderSelector;
+        this.selector = `${CHECKERBOARD_CANDIDATE_SELECTOR}, ${placeholderSelector}`;
+      } catch (error) {
+        logger.warn(`[ScrollTimingPolyfill] Invalid checkerboard placeholder selector: ${placeholderSelector}`);
+      }
+    }
+    this.visibleCandidates = new Map(); // Element -> visible area (px²)
+    this.observedRoots = new WeakSet();
+
+    this.intersectionObserver = new IntersectionObserver(
+      (entries) => this.onIntersection(entries),
+      { root: this.isRootScroller ? (isTopLevelRoot ? null : scroller.ownerDocument) : scroller, threshold: CHECKERBOARD_THRESHOLDS }
+    );
+    this.mutationObserver = typeof MutationObserver === 'function'
+      ? new MutationObserver(records => this.onMutation(records))
+      : null;
+
+    this.observeRoot(scroller);
+    this.observeShadowRoots();
+  }
+
+  /**
+   * Observes the candidates in a subtree (the scroller or a shadow root) and watches it for more.
+   */
+  observeRoot(root) {
+    if (this.observedRoots.has(root)) return;
+    this.observedRoots.add(root);
+    root.querySelectorAll(this.selector).forEach(element => this.intersectionObserver.observe(element));
+    if (this.mutationObserver) this.mutationObserver.observe(root, { childList: true, subtree: true });
+  }
+
+  /**
+   * Picks up the instrumented open shadow roots inside the scroller, including ones
+   * attached since the last scroll.
+   */
+  observeShadowRoots() {
+    instrumentedRoots.forEach((record, root) => {
+      if (root.nodeType === 11 && isInShadowIncludingSubtree(this.scroller, root.host)) this.observeRoot(root);
+    });
+  }
+
+  /**
+   * Calls `callback` for an element and each of its descendants that is a candidate.
+   */
+  forEachCandidate(element, callback) {
+    if (element.matches(this.selector)) callback(element);
+    element.querySelectorAll(this.selector).forEach(callback);
+  }
+
+  onMutation(records) {
+    for (const record of records) {
+      record.removedNodes.forEach(node => {
+        if (node.nodeType !== 1) return;
+        this.forEachCandidate(node, element => {
+          this.intersectionObserver.unobserve(element);
+          this.visibleCandidates.delete(element);
+        });
+      });
+      record.addedNodes.forEach(node => {
+        if (node.nodeType === 1) this.forEachCandidate(node, element => this.intersectionObserver.observe(element));
+      });
+    }
+  }
+
+  onIntersection(entries) {
+    for (const entry of entries) {
+      if (entry.isIntersecting) {
+        this.visibleCandidates.set(entry.target, entry.intersectionRect.width * entry.intersectionRect.height);
+      } else {
+        this.visibleCandidates.delete(entry.target);
+      }
+    }
+  }
+
+  /**
+   * Whether a candidate element still shows unpainted content.
+   */
+  isUnpainted(element) {
+    if (this.placeholderSelector && element.matches(this.placeholderSelector)) return true;
+    if (element.tagName === 'IMG') return !(element.complete && element.naturalWidth > 0);
+    return false;
+  }
+
+  /**
+   * Returns the scroller's visible area (px²).
+   */
+  getViewportArea() {
+    const view = this.scroller.ownerDocument.defaultView || window;
+    return this.isRootScroller
+      ? view.innerWidth * view.innerHeight
+      : this.scroller.clientWidth * this.scroller.clientHeight;
+  }
+
+  /**
+   * Returns the visible area (px²) of candidates that are still unpainted.
+   */
+  getUnpaintedArea() {
+    let unpaintedArea = 0;
+    this.visibleCandidates.forEach((area, element) => {
+      if (this.isUnpainted(element)) unpaintedArea += area;
+    });
+    return unpaintedArea;
+  }
+
+  disconnect() {
+    this.intersectionObserver.disconnect();
+    if (this.mutationObserver) this.mutationObserver.disconnect();
+    this.visibleCandidates.clear();
+  }
+}
+
+/**
+ * Returns the tracker for a scroller, creating it (or recreating it for a different
+ * placeholder selector) as needed.
+ */
+function getCheckerboardTracker(scroller, placeholderSelector) {
+  checkerboardTrackers.forEach((tracker, trackedScroller) => {
+    if (!trackedScroller.isConnected) {
+      tracker.disconnect();
+      checkerboardTrackers.delete(trackedScroller);
+    }
+  });
+
+  let tracker = checkerboardTrackers.get(scroller);
+  if (tracker && tracker.requestedSelector !== placeholderSelector) {
+    tracker.disconnect();
+    tracker = null;
+  }
+  if (tracker) {
+    tracker.observeShadowRoots();
+  } else {
+    tracker = new CheckerboardTracker(scroller, placeholderSelector);
+    checkerboardTrackers.set(scroller, tracker);
+  }
+  return tracker;
+}
+
+/**
+ * Disconnects and forgets all trackers.
+ */
+function releaseCheckerboardTrackers() {
+  checkerboardTrackers.forEach(tracker => tracker.disconnect());
+  checkerboardTrackers.clear();
+}
+
+/**
+ * Estimates checkerboard duration and area for one active scroll.
+ * Areas are percentages (0-100) of the scroller's visible area.
+ */
+class CheckerboardEstimator {
+  /**
+   * @param {CheckerboardTracker} tracker - The scroller's tracker
+   */
+  constructor(tracker) {
+    this.tracker = tracker;
+    this.checkerboardTime = 0;
+    this.areaMax = 0;
+    this.weightedAreaSum = 0;
+  }
+
+  /**
+   * Samples the unpainted area for one frame interval.
+   * @param {number} frameDuration - Duration (ms) of the interval ending at this frame
+   */
+  sampleFrame(frameDuration) {
+    const viewportArea = this.tracker.getViewportArea();
+    if (viewportArea <= 0) return;
+
+    const unpaintedArea = this.tracker.getUnpaintedArea();
+    if (unpaintedArea <= 0) return;
+
+    const areaPercent = Math.min(100, (unpaintedArea / viewportArea) * 100);
+    this.checkerboardTime += frameDuration;
+    this.weightedAreaSum += areaPercent * frameDuration;
+    this.areaMax = Math.max(this.areaMax, areaPercent);
+  }
+
+  /**
+   * Returns the estimates. The average is time-weighted per OPEN_QUESTIONS
+   * "Checkerboard Area Aggregation Method": Σ(area_i × duration_i) / checkerboardTime.
+   */
+  finish() {
+    return {
+      checkerboardTime: this.checkerboardTime,
+      checkerboardAreaMax: this.areaMax,
+      checkerboardAreaAvg: this.checkerboardTime > 0 ? this.weightedAreaSum / this.checkerboardTime : 0
+    };
+  }
+}
+
+/**
+ * Returns the checkerboard estimation requested by registered observers via
+ * `observe({ type: 'scroll', checkerboard: true, checkerboardPlaceholderSelector: '.skeleton' })`.
+ * Placeholder selectors from all opted-in observers are combined.
+ */
+function getRequestedCheckerboard() {
+  let enabled = false;
+  const selectors = [];
+  scrollObservers.forEach(record => {
+    if (!record.options.checkerboard) return;
+    enabled = true;
+    if (record.options.checkerboardPlaceholderSelector) selectors.push(record.options.checkerboardPlaceholderSelector);
+  });
+  return { enabled, placeholderSelector: selectors.length ? selectors.join(', ') : null };
+}
+
+// === Module: Long Animation Frame Attribution ===
+
+// Long animation frames (or long tasks where LoAF isn't supported) are collected into a
+// small rolling buffer. When a scroll ends, the ones overlapping its time window are
+// attached to the entry so janky scrolls point at the scripts that blocked the main thread.
+// Entries are delivered asynchronously, so a long frame right before a scroll ends may
+// arrive too late to be attributed.
+const recentLongFrames = [];
+let longFrameObserver = null;
+
+/**
+ * Starts observing long animation frames, falling back to long tasks.
+ * @param {Function} PerformanceObserverClass - The unpatched PerformanceObserver constructor
+ */
+function startLongFrameCollection(PerformanceObserverClass) {
+  const supportedTypes = (PerformanceObserverClass && PerformanceObserverClass.supportedEntryTypes) || [];
+  const type = supportedTypes.includes('long-animation-frame') ? 'long-animation-frame'
+    : supportedTypes.includes('longtask') ? 'longtask'
+      : null;
+  if (!type) return;
+
+  try {
+    longFrameObserver = new PerformanceObserverClass((list) => {
+      for (const entry of list.getEntries()) {
+        recentLongFrames.push(entry);
+      }
+      if (recentLongFrames.length > CONFIG.LONG_FRAME_BUFFER_SIZE) {
+        recentLongFrames.splice(0, recentLongFrames.length - CONFIG.LONG_FRAME_BUFFER_SIZE);
+      }
+    });
+    longFrameObserver.observe({ type, buffered: true });
+  } catch (error) {
+    logger.warn(`[ScrollTimingPolyfill] Failed to observe ${type} entries:`, error);
+    longFrameObserver = null;
+  }
+}
+
+/**
+ * Stops observing long frames and forgets collected ones.
+ */
+function stopLongFrameCollection() {
+  if (longFrameObserver) {
+    longFrameObserver.disconnect();
+    longFrameObserver = null;
+  }
+  recentLongFrames.length = 0;
+}
+
+/**
+ * Converts a long animation frame or long task entry into plain attribution data.
+ * `blocks` says whether it delayed the first scroll frame ('scroll-start', adding to
+ * scroll start latency) or a later frame ('mid-scroll').
+ */
+function toLongFrameAttribution(entry, scrollStartTime, firstFrameTime) {
+  const attribution = {
+    entryType: entry.entryType,
+    startTime: entry.startTime,
+    duration: entry.duration,
+    blockingDuration: typeof entry.blockingDuration === 'number' ? entry.blockingDuration : null,
+    blocks: entry.startTime < firstFrameTime && entry.startTime + entry.duration > scrollStartTime ? 'scroll-start' : 'mid-scroll',
+    scripts: []
+  };
+
+  if (Array.isArray(entry.scripts)) {
+    attribution.scripts = entry.scripts.map(script => ({
+      invoker: script.invoker,
+      invokerType: script.invokerType,
+      sourceURL: script.sourceURL,
+      sourceFunctionName: script.sourceFunctionName,
+      sourceCharPosition: script.sourceCharPosition,
+      duration: script.duration,
+      forcedStyleAndLayoutDuration: script.forcedStyleAndLayoutDuration
+    }));
+  } else if (Array.isArray(entry.attribution)) {
+    // Long tasks only attribute to a container (frame/iframe), not a script
+    attribution.scripts = entry.attribution.map(task => ({
+      invoker: task.name,
+      invokerType: task.containerType,
+      sourceURL: task.containerSrc || null,
+      sourceFunctionName: null,
+      sourceCharPosition: null,
+      duration: task.duration,
+      forcedStyleAndLayoutDuration: null
+    }));
+  }
+
+  return attribution;
+}
+
+/**
+ * Returns attribution for collected long frames overlapping [startTime, endTime].
+ */
+function getLongFrameAttribution(startTime, firstFrameTime, endTime) {
+  return recentLongFrames
+    .filter(entry => entry.startTime < endTime && entry.startTime + entry.duration > startTime)
+    .map(entry => toLongFrameAttribution(entry, startTime, firstFrameTime));
+}
+
+// === Module: Scroll Handler Timing ===
+
+// Opt-in via `observe({ type: 'scroll', handlerTiming: true })`. addEventListener is wrapped
+// for the scroll-linked event types so each handler invocation is timed into a rolling
+// buffer; when a scroll ends, invocations for its input and scroll events are summarized
+// on the entry. Only listeners added after opting in (in the top-level window) are seen.
+const HANDLER_TIMING_EVENTS = new Set(['scroll', 'wheel', 'touchstart', 'touchmove']);
+// Event types whose listeners can cancel scrolling unless passive
+const CANCELABLE_SCROLL_EVENTS = new Set(['wheel', 'touchstart', 'touchmove']);
+const recentHandlerInvocations = [];
+// target -> listener -> Map of `${type}:${capture}` -> { wrapper, info }, mirroring how the browser
+// identifies a registration, so removeEventListener finds the wrapper and each info describes its own target
+let timedListeners = new WeakMap();
+let handlerTimingInstalled = false;
+let nativeAddEventListener = null;
+let nativeRemoveEventListener = null;
+
+/**
+ * Whether a listener registered with `options` is passive. Unspecified `passive` defaults
+ * to true for wheel and touch listeners on the window, document and root elements
+ * (the browser intervention), and to false elsewhere.
+ */
+function isPassiveListener(target, type, options) {
+  if (options && typeof options === 'object' && typeof options.passive === 'boolean') return options.passive;
+  if (!CANCELABLE_SCROLL_EVENTS.has(type)) return false;
+  const doc = target && (target.nodeType === 9 ? target : target.ownerDocument);
+  return Boolean(target && (target.window === target || target.nodeType === 9
+    || (doc && (target === doc.documentElement || target === doc.body))));
+}
+
+/**
+ * Describes an event target for handler attribution.
+ */
+function describeListenerTarget(target) {
+  if (!target) return null;
+  if (target.window === target) return 'window';
+  if (target.nodeType === 9) return 'document';
+  return target.nodeType === 1 ? getTargetIdentifier(target) : null;
+}
+
+/**
+ * Returns the timing wrappers of a listener on a target, keyed by `${type}:${capture}`.
+ * Returns null if there are none and `create` is false.
+ */
+function getTimedListenerWrappers(target, listener, create) {
+  let byListener = timedListeners.get(target);
+  if (!byListener) {
+    if (!create) return null;
+    byListener = new WeakMap();
+    timedListeners.set(target, byListener);
+  }
+  let wrappers = byListener.get(listener);
+  if (!wrappers && create) {
+    wrappers = new Map();
+    byListener.set(listener, wrappers);
+  }
+  return wrappers || null;
+}
+
+/**
+ * Returns the event type and capture flag key a registration is identified by.
+ */
+function getListenerKey(type, options) {
+  const capture = typeof options === 'boolean' ? options : Boolean(options && options.capture);
+  return `${type}:${capture}`;
+}
+
+/**
+ * Returns a timing wrapper for a listener, reusing the one already registered on the same
+ * target for the same type and capture flag so the browser's duplicate-listener check still applies.
+ */
+function getTimedListener(target, type, listener, options) {
+  const key = getListenerKey(type, options);
+  const wrappers = getTimedListenerWrappers(target, listener, true);
+  const existing = wrappers.get(key);
+  if (existing) return existing.wrapper;
+
+  const info = {
+    type,
+    name: (typeof listener === 'function' ? listener.name : listener.constructor && listener.constructor.name) || '(anonymous)',
+    target: describeListenerTarget(target),
+    passive: isPassiveListener(target, type, options)
+  };
+  const wrapper = function(event) {
+    if (!handlerTimingInstalled) {
+      return typeof listener === 'function' ? listener.call(this, event) : listener.handleEvent(event);
+    }
+    const start = scheduler.now();
+    try {
+      return typeof listener === 'function' ? listener.call(this, event) : listener.handleEvent(event);
+    } finally {
+      recordHandlerInvocation(info, start, scheduler.now() - start);
+    }
+  };
+  wrappers.set(key, { wrapper, info });
+  return wrapper;
+}
+
+/**
+ * Adds a handler invocation to the rolling buffer.
+ */
+function recordHandlerInvocation(info, start, duration) {
+  recentHandlerInvocations.push({ info, start, duration, attributed: false });
+  if (recentHandlerInvocations.length > CONFIG.HANDLER_INVOCATION_BUFFER_SIZE) {
+    recentHandlerInvocations.splice(0, recentHandlerInvocations.length - CONFIG.HANDLER_INVOCATION_BUFFER_SIZE);
+  }
+}
+
+/**
+ * Wraps addEventListener/removeEventListener so scroll-linked handlers are timed.
+ */
+function installHandlerTiming() {
+  if (handlerTimingInstalled || typeof window.EventTarget !== 'function') return;
+  handlerTimingInstalled = true;
+
+  nativeRemoveEventListener = window.EventTarget.prototype.removeEventListener;
+  const originalRemove = nativeRemoveEventListener;
+  window.EventTarget.prototype.removeEventListener = function(type, listener, options) {
+    // Unqualified calls (removeEventListener(...) in page scripts) target the window
+    const wrappers = listener ? getTimedListenerWrappers(this ?? window, listener, false) : null;
+    const key = getListenerKey(type, options);
+    const timed = wrappers && wrappers.get(key);
+    if (timed) {
+      originalRemove.call(this, type, timed.wrapper, options);
+      wrappers.delete(key);
+    }
+    return originalRemove.call(this, type, listener, options);
+  };
+
+  nativeAddEventListener = window.EventTarget.prototype.addEventListener;
+  const original = nativeAddEventListener;
+  window.EventTarget.prototype.addEventListener = function(type, listener, options) {
+    if (!HANDLER_TIMING_EVENTS.has(type) || !listener
+      || (typeof listener !== 'function' && typeof listener.handleEvent !== 'function')) {
+      return original.call(this, type, listener, options);
+    }
+    return original.call(this, type, getTimedListener(this ?? window, type, listener, options), options);
+  };
+}
+
+/**
+ * Restores addEventListener/removeEventListener and forgets timed invocations and wrappers.
+ * Listeners added while timing was on stay registered as their wrappers, which keep working
+ * but stop recording; removing one of them by its original function no longer matches.
+ */
+function uninstallHandlerTiming() {
+  if (!handlerTimingInstalled) return;
+  handlerTimingInstalled = false;
+  window.EventTarget.prototype.addEventListener = nativeAddEventListener;
+  window.EventTarget.prototype.removeEventListener = nativeRemoveEventListener;
+  nativeAddEventListener = null;
+  nativeRemoveEventListener = null;
+  timedListeners = new WeakMap();
+  recentHandlerInvocations.length = 0;
+}
+
+/**
+ * Whether any registered observer opted into handler timing.
+ */
+function isHandlerTimingRequested() {
+  for (const record of scrollObservers) {
+    if (record.options.handlerTiming) return true;
+  }
+  return false;
+}
+
+/**
+ * Summarizes handler invocations for a scroll that no other entry claimed yet: those
+ * running from up to INPUT_HINT_TIMEOUT_MS before it started (the initiating input's
+ * handlers) until it ended. Non-passive wheel/touch handlers that ran before the first
+ * frame are reported as having blocked the scroll start.
+ * @returns {{totalTime: number, invocationCount: number, topHandlers: Object[], blockingListeners: Object[]}}
+ */
+function summarizeHandlerTiming(startTime, firstFrameTime, endTime) {
+  const invocations = recentHandlerInvocations.filter(invocation => !invocation.attributed
+    && invocation.start + invocation.duration >= startTime - CONFIG.INPUT_HINT_TIMEOUT_MS && invocation.start <= endTime);
+  invocations.forEach(invocation => { invocation.attributed = true; });
+
+  const byHandler = new Map();
+  const blocking = new Map();
+  let totalTime = 0;
+  for (const { info, start, duration } of invocations) {
+    totalTime += duration;
+
+    let handler = byHandler.get(info);
+    if (!handler) {
+      handler = { ...info, invocations: 0, totalTime: 0, maxTime: 0 };
+      byHandler.set(info, handler);
+    }
+    handler.invocations++;
+    handler.totalTime += duration;
+    handler.maxTime = Math.max(handler.maxTime, duration);
+
+    if (!info.passive && CANCELABLE_SCROLL_EVENTS.has(info.type) && start < firstFrameTime) {
+      const listener = blocking.get(info) || { type: info.type, name: info.name, target: info.target, blockingTime: 0 };
+      listener.blockingTime += duration;
+      blocking.set(info, listener);
+    }
+  }
+
+  return {
+    totalTime,
+    invocationCount: invocations.length,
+    topHandlers: Array.from(byHandler.values())
+      .sort((a, b) => b.totalTime - a.totalTime)
+      .slice(0, CONFIG.HANDLER_TIMING_TOP_HANDLERS),
+    blockingListeners: Array.from(blocking.values()).sort((a, b) => b.blockingTime - a.blockingTime)
+  };
+}
+
+// === Module: Navigation & Page Lifecycle ===
+
+// Single-page apps change views without a page load. Entries carry the URL and a
+// navigation ID at scroll start, so they can be grouped by route: the ID starts at 1 and
+// increments on each history.pushState() and popstate (back/forward, fragment navigation).
+// Routers that kept a reference to pushState from before install() aren't seen.
+// Only the top-level window's history is tracked, so in same-origin iframes the ID follows
+// the top-level navigations while the URL is the iframe document's own.
+let navigationId = 1;
+let originalPushStateDescriptor = null;
+let pushStateWrapped = false;
+
+/**
+ * Returns the navigation context entries record at scroll start, with the URL of the
+ * document the scroller belongs to.
+ * @param {Element|Document} target - The scroller
+ * @returns {{navigationId: number, url: string}}
+ */
+function getNavigationContext(target) {
+  const doc = target && (target.nodeType === 9 ? target : target.ownerDocument);
+  const view = (doc && doc.defaultView) || window;
+  return { navigationId, url: view.location.href };
+}
+
+function onSoftNavigation() {
+  navigationId++;
+}
+
+/**
+ * Wraps history.pushState (as an own property of window.history, which shadows the
+ * History.prototype method) and listens for popstate.
+ */
+function installNavigationTracking() {
+  const history = window.history;
+  if (history && typeof history.pushState === 'function') {
+    const originalPushState = history.pushState;
+    originalPushStateDescriptor = Object.getOwnPropertyDescriptor(history, 'pushState') || null;
+    Object.defineProperty(history, 'pushState', {
+      value: function(...args) {
+        const result = originalPushState.apply(this, args);
+        onSoftNavigation();
+        return result;
+      },
+      writable: true,
+      configurable: true
+    });
+    pushStateWrapped = true;
+  }
+
+  addPolyfillListener(window, 'popstate', onSoftNavigation);
+}
+
+/**
+ * Restores history.pushState. The navigation ID keeps counting across reinstalls.
+ */
+function uninstallNavigationTracking() {
+  if (!pushStateWrapped) return;
+  pushStateWrapped = false;
+  if (originalPushStateDescriptor) {
+    Object.defineProperty(window.history, 'pushState', originalPushStateDescriptor);
+  } else {
+    delete window.history.pushState;
+  }
+  originalPushStateDescriptor = null;
+}
+
+/**
+ * Cuts off active scrolls when the page is hidden: rAF stops (or is throttled) and the end
+ * timer would run on, reporting a long duration with almost no frames. Entries end at the
+ * moment of hiding, with endDetection 'hidden' and `truncated` set.
+ */
+function onPageVisibilityChange() {
+  if (document.visibilityState !== 'hidden') return;
+  Array.from(activeScrolls.values()).forEach(state => state.end({ endDetection: 'hidden', truncated: true }));
+}
+
+// === Module: Scroll Tracking ===
+
+const scrollObservers = new Set();
+// Entries are removed when a scroll ends, so a Map doesn't retain scrollers; it also
+// lets input lifecycle events (touchend/pointerup) reach every active scroll.
+const activeScrolls = new Map();
+
+// Native 'scrollend' is the authoritative end signal where supported
+const supportsScrollEnd = 'onscrollend' in window;
+const supportsScrollSnapEvents = 'onscrollsnapchanging' in window;
+
+/**
+ * Whether a scroller snaps (has a scroll-snap-type). The root scroller's snap type may be
+ * set on either the root element or, when it propagates, the body.
+ */
+function isScrollSnapContainer(scroller) {
+  const doc = scroller.ownerDocument;
+  const view = doc.defaultView || window;
+  const candidates = scroller === getRootScrollerElement(doc) ? [doc.documentElement, doc.body] : [scroller];
+  return candidates.some(element => {
+    if (!element) return false;
+    const snapType = view.getComputedStyle(element).scrollSnapType;
+    return Boolean(snapType) && snapType !== 'none';
+  });
+}
+
+/**
+ * Tracks the state of an active scroll interaction, monitoring frame production,
+ * scroll distance, and timing metrics until the scroll ends.
+ */
+class ActiveScrollState {
+  /**
+   * @param {string} source - Scroll source: 'touch', 'wheel', 'keyboard', 'other', 'programmatic', 'scrollbar', 'autoscroll'
+   * @param {Element} target - The scrolled element
+   * @param {number} [inputTime] - Optional timestamp of the initiating input event
+   * @param {string} [behavior] - For programmatic scrolls, 'smooth' or 'instant'
+   * @param {{scrollTop: number, scrollLeft: number}} [startPosition] - Scroll offsets before the scroll
+   *   began, if known; defaults to the current ones, leaving out movement before this first scroll event
+   */
+  constructor(source, target, inputTime, behavior, startPosition) {
+    // Validate inputs
+    if (source && !VALID_SCROLL_SOURCES.has(source)) {
+      logger.warn(`[ScrollTimingPolyfill] Invalid scroll source: ${source}, defaulting to 'other'`);
+      source = 'other';
+    }
+
+    this.source = source;
+    this.target = target;
+    this.scrollBehavior = source === 'programmatic' ? (behavior || 'instant') : null;
+    // Snapshot the refresh rate in effect at scroll start; later re-measurements don't
+    // change the baseline an in-flight scroll is compared against
+    this.refreshRate = estimatedRefreshRate;
+    this.baselineRefreshRate = baselineRefreshRate;
+    this.startTime = typeof inputTime === 'number' ? inputTime : scheduler.now();
+    this.firstFrameTime = null;
+    this.frameCount = 0;
+    this.expectedFrames = 0;
+    this.expectedFramesAtBaseline = 0;
+    this.expectedFramesAtReference = 0;
+    this.lastFrameTime = null;
+    this.lastScrollEventTime = this.startTime;
+    this.checkerboardTime = 0; // 0 unless checkerboard estimation is opted into (see CheckerboardEstimator)
+    this.checkerboardEstimator = null;
+    this.rafId = null;
+    this.timeoutId = null;
+    this.ended = false;
+    this.lastScrollTop = target.scrollTop || 0;
+    this.lastScrollLeft = target.scrollLeft || 0;
+    this.initialScrollTop = startPosition ? startPosition.scrollTop : this.lastScrollTop;
+    this.initialScrollLeft = startPosition ? startPosition.scrollLeft : this.lastScrollLeft;
+    this.cumulativeDeltaX = this.lastScrollLeft - this.initialScrollLeft;
+    this.cumulativeDeltaY = this.lastScrollTop - this.initialScrollTop;
+    this.inputActive = source === 'touch' && touchInputActive;
+    this.inputEndTime = null;
+    this.lastInputEventTime = this.startTime;
+    // Per-frame presentation times and scroll offsets, summarized on end for `frameTiming`
+    this.frames = [];
+    // Contiguous runs of frames in the same phase, and where the scroll snapped to
+    this.phases = [];
+    this.lastPhaseFrameTime = null;
+    this.snapContainer = isScrollSnapContainer(target);
+    this.snapTarget = null;
+    this.navigation = getNavigationContext(target);
+  }
+
+  start() {
+    const checkerboardOptions = getRequestedCheckerboard();
+    if (checkerboardOptions.enabled && typeof IntersectionObserver === 'function') {
+      this.checkerboardEstimator = new CheckerboardEstimator(getCheckerboardTracker(this.target, checkerboardOptions.placeholderSelector));
+    } else if (!checkerboardOptions.enabled) {
+      releaseCheckerboardTrackers();
+    }
+
+    this.trackFrames();
+    this.scheduleEnd();
+  }
+
+  /**
+   * Tracks frame production using requestAnimationFrame.
+   * Calculates expected frames based on main thread measured refresh rate and actual frame deltas.
+   * Note: Uses main thread rAF-measured rate (estimatedRefreshRate, snapshotted at scroll start), which represents
+   * achievable frame rate on the main thread. The worker-measured baseline (baselineRefreshRate)
+   * provides comparison for detecting main thread interference.
+   */
+  trackFrames() {
+    this.rafId = scheduler.requestAnimationFrame((timestamp) => {
+      if (this.ended) return;
+
+      // Frames while the page is hidden (before visibilitychange ends the scroll) aren't shown
+      if (document.visibilityState === 'hidden') {
+        this.trackFrames();
+        return;
+      }
+
+      if (this.frameCount === 0) {
+        // rAF's timestamp can represent the frame start time and may be slightly
+        // earlier than performance.now() (different clocks). Use monotonic clamping
+        // to ensure firstFrameTime is never before startTime.
+        this.firstFrameTime = Math.max(scheduler.now(), this.startTime);
+      }
+
+      this.frameCount++;
+
+      // Track expected frames using main thread measured refresh rate (not assumed 60fps).
+      // This delta-based approach accounts for actual time between frames.
+      // The main thread rate may differ from worker baseline if main thread is consistently blocked,
+      // so expectations are also tracked against the worker baseline and a fixed 60Hz reference:
+      // main thread starvation shows up as the gap between the baseline and main thread counts.
+      const frameDuration = this.lastFrameTime === null ? null : timestamp - this.lastFrameTime;
+      this.expectedFrames += expectedFramesForInterval(frameDuration, this.refreshRate);
+      this.expectedFramesAtBaseline += expectedFramesForInterval(frameDuration, this.baselineRefreshRate);
+      this.expectedFramesAtReference += expectedFramesForInterval(frameDuration, CONFIG.REFERENCE_REFRESH_RATE);
+
+      if (this.checkerboardEstimator) {
+        this.checkerboardEstimator.sampleFrame(frameDuration === null ? 1000 / this.refreshRate : frameDuration);
+      }
+
+      // Phase boundaries are on the scheduler.now() clock, like startTime and the end time
+      const scrollTop = this.target.scrollTop || 0;
+      const scrollLeft = this.target.scrollLeft || 0;
+      const now = scheduler.now();
+      this.recordPhaseFrame(
+        this.getFramePhase(now, scrollTop, scrollLeft),
+        this.lastPhaseFrameTime ?? this.startTime,
+        expectedFramesForInterval(frameDuration, this.refreshRate)
+      );
+      this.lastPhaseFrameTime = now;
+
+      this.lastFrameTime = timestamp;
+      this.frames.push({ presentationTime: timestamp, scrollTop, scrollLeft });
+
+      this.trackFrames();
+    });
+  }
+
+  /**
+   * Classifies a frame: 'overscroll' while the offset is past the scroll range (rubber-band
+   * bounce), 'active' while input drives the scroll, and afterwards 'snap' on scroll snap
+   * containers or 'momentum' elsewhere. Touch input ends when the finger lifts, wheel and
+   * keyboard input INPUT_PHASE_GAP_MS after the last event; other sources are always active.
+   */
+  getFramePhase(now, scrollTop, scrollLeft) {
+    const maxScrollTop = this.target.scrollHeight - this.target.clientHeight;
+    const maxScrollLeft = this.target.scrollWidth - this.target.clientWidth;
+    // Right-to-left scrollers report negative scrollLeft, so compare magnitudes horizontally
+    if (scrollTop < 0 || scrollTop > maxScrollTop + 1 || Math.abs(scrollLeft) > maxScrollLeft + 1) {
+      return 'overscroll';
+    }
+
+    if (!PHASED_SCROLL_SOURCES.has(this.source)) return 'active';
+    const inputActive = this.source === 'touch'
+      ? this.inputActive
+      : now - this.lastInputEventTime <= CONFIG.INPUT_PHASE_GAP_MS;
+    if (inputActive) return 'active';
+    return this.snapContainer || this.snapTarget ? 'snap' : 'momentum';
+  }
+
+  /**
+   * Adds a frame to the current phase run, starting a new run when the phase changes.
+   * @param {string} phase - Phase of the frame
+   * @param {number} intervalStart - Start of the interval the frame closes
+   * @param {number} framesExpected - Frames expected over that interval
+   */
+  recordPhaseFrame(phase, intervalStart, framesExpected) {
+    let current = this.phases[this.phases.length - 1];
+    if (!current || current.phase !== phase) {
+      current = { phase, startTime: Math.max(intervalStart, this.startTime), duration: 0, framesProduced: 0, framesExpected: 0 };
+      this.phases.push(current);
+    }
+    current.framesProduced++;
+    current.framesExpected += framesExpected;
+  }
+
+  /**
+   * Closes the phase runs at the end of the scroll: each lasts until the next one starts.
+   * @returns {Array<Object>} Frozen phase runs
+   */
+  finishPhases(endTime) {
+    return this.phases.map((run, index) => {
+      const next = this.phases[index + 1];
+      const runEnd = next ? next.startTime : Math.max(endTime, run.startTime);
+      return Object.freeze({ ...run, duration: runEnd - run.startTime });
+    });
+  }
+
+  /**
+   * Schedules the timeout-based end of the scroll. With native 'scrollend' support the
+   * timeout is only a fallback, and it never ends a scroll while the finger is still down.
+   */
+  scheduleEnd() {
+    scheduler.clearTimeout(this.timeoutId);
+    const timeout = supportsScrollEnd ? CONFIG.SCROLL_END_FALLBACK_TIMEOUT_MS : CONFIG.SCROLL_END_TIMEOUT_MS;
+    this.timeoutId = scheduler.setTimeout(() => {
+      if (this.inputActive) {
+        this.scheduleEnd();
+        return;
+      }
+      this.end({ endDetection: 'timeout' });
+    }, timeout);
+  }
+
+  /**
+   * Called for each wheel, key or touch event hinting this scroller with the same source.
+   */
+  onInputEvent(time) {
+    this.lastInputEventTime = Math.max(time, this.lastInputEventTime);
+  }
+
+  /**
+   * Called on scrollsnapchanging/scrollsnapchange with the element being snapped to.
+   */
+  onSnapChange(snapTarget) {
+    if (snapTarget) this.snapTarget = snapTarget;
+  }
+
+  /**
+   * Called when direct input resumes on this scroller (e.g. a finger touches down during momentum).
+   */
+  onInputStart() {
+    this.inputActive = true;
+  }
+
+  /**
+   * Called when direct input is released (touchend/pointerup). Anything after this is momentum.
+   */
+  onInputEnd(time) {
+    if (!this.inputActive) return;
+    this.inputActive = false;
+    this.inputEndTime = Math.max(time, this.startTime);
+    this.scheduleEnd();
+  }
+
+  /**
+   * Stops tracking without emitting an entry (used when the polyfill is uninstalled).
+   */
+  cancel() {
+    this.ended = true;
+    scheduler.cancelAnimationFrame(this.rafId);
+    scheduler.clearTimeout(this.timeoutId);
+    if (this.checkerboardEstimator) this.checkerboardEstimator.finish();
+  }
+
+  /**
+   * Called on each scroll event to update distance tracking and extend the scroll duration.
+   */
+  onScrollEvent() {
+    this.lastScrollEventTime = scheduler.now();
+
+    // Track cumulative scroll distance in X and Y separately
+    const currentScrollTop = this.target.scrollTop || 0;
+    const currentScrollLeft = this.target.scrollLeft || 0;
+    const deltaY = currentScrollTop - this.lastScrollTop;
+    const deltaX = currentScrollLeft - this.lastScrollLeft;
+
+    this.cumulativeDeltaX += deltaX;
+    this.cumulativeDeltaY += deltaY;
+    this.lastScrollTop = currentScrollTop;
+    this.lastScrollLeft = currentScrollLeft;
+
+    this.scheduleEnd();
+  }
+
+  /**
+   * Ends the scroll tracking, creates a PerformanceScrollTiming entry, and notifies observers.
+   * @param {Object} [options]
+   * @param {boolean} [options.interrupted=false] - Whether a different input source cut the scroll short
+   * @param {number} [options.endTime] - Timestamp of the interruption; defaults to now
+   * @param {string} [options.endDetection] - How the end was detected: 'scrollend', 'timeout', 'interruption', 'hidden'
+   * @param {boolean} [options.truncated=false] - Whether the scroll was cut off before it finished (page hidden)
+   */
+  end({ interrupted = false, truncated = false, endTime: interruptionTime, endDetection = interrupted ? 'interruption' : 'timeout' } = {}) {
+    if (this.ended) return;
+    this.ended = true;
+
+    scheduler.cancelAnimationFrame(this.rafId);
+    scheduler.clearTimeout(this.timeoutId);
+
+    const endTime = typeof interruptionTime === 'number'
+      ? Math.max(interruptionTime, this.startTime)
+      : scheduler.now();
+    const firstFrameTime = this.firstFrameTime ?? this.startTime;
+    const duration = endTime - this.startTime;
+
+    const velocity = computeVelocityMetrics(
+      { scrollTop: this.initialScrollTop, scrollLeft: this.initialScrollLeft },
+      this.frames,
+      { scrollTop: this.target.scrollTop || 0, scrollLeft: this.target.scrollLeft || 0 },
+      { deltaX: this.cumulativeDeltaX, deltaY: this.cumulativeDeltaY, duration, targetFrameDuration: 1000 / this.refreshRate }
+    );
+
+    const longFrames = getLongFrameAttribution(this.startTime, firstFrameTime, endTime);
+    const handlerTiming = isHandlerTimingRequested() ? summarizeHandlerTiming(this.startTime, firstFrameTime, endTime) : null;
+
+    const checkerboard = this.checkerboardEstimator ? this.checkerboardEstimator.finish() : null;
+    if (checkerboard) this.checkerboardTime = checkerboard.checkerboardTime;
+
+    const frameTimingOptions = getRequestedFrameTiming();
+    const frameTiming = frameTimingOptions.enabled
+      ? summarizeFrameTiming(this.frames, this.expectedFrames, 1000 / this.refreshRate, frameTimingOptions.includeFrames)
+      : null;
+
+    const entry = new PerformanceScrollTimingPolyfill({
+      startTime: this.startTime,
+      firstFrameTime,
+      duration,
+      framesExpected: this.expectedFrames,
+      framesExpectedAtBaseline: this.expectedFramesAtBaseline,
+      framesExpectedAtReference: this.expectedFramesAtReference,
+      framesProduced: this.frameCount,
+      checkerboardTime: this.checkerboardTime,
+      checkerboardAreaMax: checkerboard ? checkerboard.checkerboardAreaMax : null,
+      checkerboardAreaAvg: checkerboard ? checkerboard.checkerboardAreaAvg : null,
+      checkerboardEstimated: checkerboard !== null,
+      refreshRate: this.refreshRate,
+      baselineRefreshRate: this.baselineRefreshRate,
+      scrollSource: this.source,
+      scrollBehavior: this.scrollBehavior,
+      target: this.target,
+      ...getScrollContext(this.target),
+      deltaX: this.cumulativeDeltaX,
+      deltaY: this.cumulativeDeltaY,
+      ...velocity,
+      interrupted,
+      truncated,
+      endDetection,
+      ...this.navigation,
+      inputEndTime: this.inputEndTime,
+      phases: this.finishPhases(endTime),
+      snapTarget: this.snapTarget,
+      frameTiming,
+      longFrames,
+      handlerTiming
+    });
+
+    queueScrollEntry(entry);
+
+    activeScrolls.delete(this.target);
+  }
+}
+
+/**
+ * Returns how many frames were expected over one rAF interval at the given refresh rate.
+ * The first frame of a scroll (no previous frame) always counts as one expected frame.
+ * @param {number|null} frameDuration - Time (ms) since the previous frame, or null for the first frame
+ * @param {number} refreshRate - Refresh rate (Hz) to measure the interval against
+ */
+function expectedFramesForInterval(frameDuration, refreshRate) {
+  if (frameDuration === null) return 1;
+  const targetFrameDuration = 1000 / refreshRate;
+  return Math.max(1, Math.round(frameDuration / targetFrameDuration));
+}
+
+/**
+ * Classifies a velocity (px/s) into the DESIGN_NOTES benchmarking buckets.
+ * @returns {string} 'slow', 'medium', or 'fast'
+ */
+function getVelocityBucket(velocity) {
+  if (velocity < CONFIG.VELOCITY_SLOW_MAX_PX_PER_S) return 'slow';
+  if (velocity <= CONFIG.VELOCITY_MEDIUM_MAX_PX_PER_S) return 'medium';
+  return 'fast';
+}
+
+/**
+ * Computes velocity metrics from the scroll offsets sampled each frame.
+ * Path distance sums the absolute motion between samples, so a down-then-up scroll
+ * reports the distance actually travelled rather than its near-zero net delta.
+ * Peak velocity uses per-frame steps, each at least one refresh interval long so that
+ * sub-frame timestamp jitter can't produce spikes. All velocities are in px/s.
+ * @param {{scrollTop: number, scrollLeft: number}} initialOffset - Offsets when tracking started
+ * @param {Array<{presentationTime: number, scrollTop: number, scrollLeft: number}>} frames - Per-frame samples
+ * @param {{scrollTop: number, scrollLeft: number}} finalOffset - Offsets when the scroll ended
+ * @param {Object} totals
+ * @param {number} totals.deltaX - Net horizontal delta (px)
+ * @param {number} totals.deltaY - Net vertical delta (px)
+ * @param {number} totals.duration - Scroll duration (ms)
+ * @param {number} totals.targetFrameDuration - Refresh interval (ms)
+ */
+function computeVelocityMetrics(initialOffset, frames, finalOffset, { deltaX, deltaY, duration, targetFrameDuration }) {
+  let pathDistance = 0;
+  let peakVelocity = 0;
+  let previous = initialOffset;
+  let previousTime = null;
+
+  for (const frame of [...frames, finalOffset]) {
+    const stepDistance = Math.hypot(frame.scrollLeft - previous.scrollLeft, frame.scrollTop - previous.scrollTop);
+    pathDistance += stepDistance;
+
+    if (previousTime !== null && typeof frame.presentationTime === 'number') {
+      const stepDuration = Math.max(frame.presentationTime - previousTime, targetFrameDuration);
+      peakVelocity = Math.max(peakVelocity, (stepDistance / stepDuration) * 1000);
+    }
+
+    previous = frame;
+    if (typeof frame.presentationTime === 'number') previousTime = frame.presentationTime;
+  }
+
+  const durationSeconds = duration / 1000;
+  const averageVelocity = durationSeconds > 0 ? pathDistance / durationSeconds : 0;
+
+  return {
+    pathDistance,
+    averageVelocity,
+    peakVelocity,
+    velocityX: durationSeconds > 0 ? deltaX / durationSeconds : 0,
+    velocityY: durationSeconds > 0 ? deltaY / durationSeconds : 0,
+    velocityBucket: getVelocityBucket(averageVelocity)
+  };
+}
+
+/**
+ * Returns the frame timing detail requested by registered observers via
+ * `observe({ type: 'scroll', frameTiming: true, includeFrames: true })`.
+ * Entries are shared between observers, so any one opting in enables it for all.
+ */
+function getRequestedFrameTiming() {
+  let enabled = false;
+  let includeFrames = false;
+  scrollObservers.forEach(record => {
+    if (!record.options.frameTiming) return;
+    enabled = true;
+    includeFrames = includeFrames || record.options.includeFrames === true;
+  });
+  return { enabled, includeFrames };
+}
+
+/**
+ * Summarizes a scroll's per-frame timeline for the opt-in `frameTiming` entry detail.
+ * A jank run is a frame interval spanning more than one refresh interval, i.e. one or
+ * more consecutive dropped frames.
+ * @param {Array<{presentationTime: number, scrollTop: number, scrollLeft: number}>} frames
+ * @param {number} framesExpected - Frames expected over the scroll at the target refresh rate
+ * @param {number} targetFrameDuration - Refresh interval (ms) the frames are compared against
+ * @param {boolean} includeFrames - Whether to copy the raw frame array into the summary
+ */
+function summarizeFrameTiming(frames, framesExpected, targetFrameDuration, includeFrames) {
+  const frameDurations = [];
+  for (let i = 1; i < frames.length; i++) {
+    frameDurations.push(frames[i].presentationTime - frames[i - 1].presentationTime);
+  }
+
+  let longestFrameGap = 0;
+  let jankRunCount = 0;
+  let totalDuration = 0;
+  for (const frameDuration of frameDurations) {
+    longestFrameGap = Math.max(longestFrameGap, frameDuration);
+    totalDuration += frameDuration;
+    if (Math.round(frameDuration / targetFrameDuration) > 1) jankRunCount++;
+  }
+
+  const averageFrameDuration = frameDurations.length ? totalDuration / frameDurations.length : 0;
+  const frameDurationVariance = frameDurations.length
+    ? frameDurations.reduce((sum, d) => sum + (d - averageFrameDuration) ** 2, 0) / frameDurations.length
+    : 0;
+
+  return {
+    framesDropped: Math.max(0, framesExpected - frames.length),
+    longestFrameGap,
+    jankRunCount,
+    averageFrameDuration,
+    frameDurationVariance,
+    frames: includeFrames ? frames.map(frame => ({ ...frame })) : null
+  };
+}
+
+/**
+ * Handles scroll events and manages active scroll tracking state.
+ */
+function onScrollEvent(event) {
+  // Scrolls in a hidden page aren't seen and get no frames (see onPageVisibilityChange)
+  if (document.visibilityState === 'hidden') return;
+
+  let scroller = normalizeScrollTarget(event.target);
+  const rootScroller = getRootScrollerElement(scroller.ownerDocument);
+
+  // Some browsers can surface element scrolls with a document target when observed
+  // from a document-level capture listener. If we recently saw wheel/touch over a
+  // specific scroll container, prefer that as the target.
+  if (scroller === rootScroller) {
+    const candidate = getMostRecentHintedScroller();
+    // A candidate pinned at its edge can't be the one moving: the input chained to the
+    // root, so the root inherits the candidate's input hint instead
+    if (candidate && candidate !== rootScroller) {
+      if (!isBoundaryAttemptBlocked(candidate)) {
+        scroller = candidate;
+      } else if (!inputHints.has(rootScroller) && inputHints.has(candidate)) {
+        inputHints.set(rootScroller, inputHints.get(candidate));
+      }
+    }
+  }
+
+  cancelBoundaryAttempt(scroller);
+  refreshPointerScrollHint(scroller);
+  const hinted = getAndClearInputHint(scroller);
+  const hintedSource = hinted?.source;
+  const hintedTime = hinted?.time;
+  // An inherited hint (see above) holds the candidate's offsets, not this scroller's
+  let startPosition = hinted && hinted.scroller === scroller ? hinted.startPosition : null;
+  let state = activeScrolls.get(scroller);
+
+  // A fresh hint from a different input source interrupts the current interaction
+  // (e.g. wheel during a touch fling, scrollTo() during a user scroll). End the current
+  // entry at the interruption point and start a new one for the new source, from where
+  // the interrupted one last saw the scroller.
+  if (state && hintedSource && state.source !== 'other' && hintedSource !== state.source) {
+    startPosition = { scrollTop: state.lastScrollTop, scrollLeft: state.lastScrollLeft };
+    state.end({ interrupted: true, endTime: hintedTime });
+    state = null;
+  }
+
+  if (!state) {
+    state = new ActiveScrollState(hintedSource || 'other', scroller, hintedTime, hinted?.behavior, startPosition);
+    activeScrolls.set(scroller, state);
+    state.start();
+    return;
+  }
+
+  // If we started with 'other' (undetermined) and got a fresh hint, upgrade the source.
+  if (state.source === 'other' && hintedSource) {
+    state.source = hintedSource;
+    if (hintedSource === 'programmatic') state.scrollBehavior = hinted.behavior || 'instant';
+  }
+  state.onScrollEvent();
+}
+
+/**
+ * Handles native 'scrollend' events, which end the matching active scroll immediately.
+ */
+function onScrollEndEvent(event) {
+  const state = activeScrolls.get(normalizeScrollTarget(event.target));
+  if (state) state.end({ endDetection: 'scrollend' });
+}
+
+/**
+ * Handles 'scrollsnapchanging'/'scrollsnapchange', recording the snap target on the active scroll.
+ */
+function onScrollSnapEvent(event) {
+  const state = activeScrolls.get(normalizeScrollTarget(event.target));
+  if (state) state.onSnapChange(event.snapTargetBlock || event.snapTargetInline || null);
+}
+
+/**
+ * Marks touch input as active and resumes direct input on a scroll already in progress.
+ */
+function onTouchInputStart(scroller) {
+  touchInputActive = true;
+  const state = activeScrolls.get(scroller);
+  if (state && state.source === 'touch') state.onInputStart();
+}
+
+/**
+ * Handles touchend/touchcancel/pointerup: once no fingers remain, every active scroll
+ * receiving direct input transitions to its momentum phase.
+ */
+function onInputRelease(event) {
+  if (event.touches && event.touches.length > 0) return;
+  // Mouse buttons don't drive touch scrolling
+  if (event.pointerType === 'mouse') return;
+  touchInputActive = false;
+  const time = scheduler.now();
+  activeScrolls.forEach(state => state.onInputEnd(time));
+}
+
+// === Module: Boundary Hit Detection ===
+
+// DESIGN_NOTES "Zero scroll distance": input at a scroll boundary produces no scroll event,
+// so wheel, touch and keyboard hints are followed up. If a hinted scroller hasn't started
+// scrolling once the hint expires and is pinned at an edge in the input's direction, a
+// zero-distance entry with endDetection 'boundary' is emitted. Repeated hits on the same
+// scroller are flagged as frustration.
+const BOUNDARY_HIT_SOURCES = new Set(['wheel', 'touch', 'keyboard']);
+const pendingBoundaryAttempts = new Map();
+const boundaryHitTimes = new WeakMap();
+
+/**
+ * Starts or extends the boundary check for an input hint. Bursts of wheel, touchmove or
+ * key repeat events form one attempt, checked INPUT_HINT_TIMEOUT_MS after the last event.
+ */
+function trackBoundaryAttempt(scroller, source, details, time, event) {
+  if (!BOUNDARY_HIT_SOURCES.has(source) || activeScrolls.has(scroller)) return;
+  const deltaX = (details && details.deltaX) || 0;
+  const deltaY = (details && details.deltaY) || 0;
+
+  let attempt = pendingBoundaryAttempts.get(scroller);
+  if (!attempt || attempt.source !== source) {
+    if (attempt) scheduler.clearTimeout(attempt.timeoutId);
+    attempt = { scroller, source, startTime: time, lastTime: time, inputs: [], timeoutId: null, navigation: getNavigationContext(scroller) };
+    pendingBoundaryAttempts.set(scroller, attempt);
+  }
+  attempt.lastTime = time;
+  // Deltas are summed when the check runs: handlers after ours may still prevent the default
+  attempt.inputs.push({ event, deltaX, deltaY });
+
+  scheduler.clearTimeout(attempt.timeoutId);
+  attempt.timeoutId = scheduler.setTimeout(() => finishBoundaryAttempt(attempt), CONFIG.INPUT_HINT_TIMEOUT_MS);
+}
+
+/**
+ * Drops the pending boundary check for a scroller that started scrolling.
+ */
+function cancelBoundaryAttempt(scroller) {
+  const attempt = pendingBoundaryAttempts.get(scroller);
+  if (!attempt) return;
+  scheduler.clearTimeout(attempt.timeoutId);
+  pendingBoundaryAttempts.delete(scroller);
+}
+
+/**
+ * Drops all pending boundary checks (used when the polyfill is uninstalled).
+ */
+function cancelAllBoundaryAttempts() {
+  pendingBoundaryAttempts.forEach(attempt => scheduler.clearTimeout(attempt.timeoutId));
+  pendingBoundaryAttempts.clear();
+}
+
+/**
+ * Returns the edges a scroller is pinned at in the direction of the given deltas.
+ * @returns {string[]} Subset of 'top', 'bottom', 'left', 'right'
+ */
+function getBlockedEdges(scroller, deltaX, deltaY) {
+  const view = scroller.ownerDocument.defaultView || window;
+  const maxScrollTop = Math.max(0, scroller.scrollHeight - scroller.clientHeight);
+  const maxScrollLeft = Math.max(0, scroller.scrollWidth - scroller.clientWidth);
+  const scrollTop = scroller.scrollTop || 0;
+  // Right-to-left scrollers start at 0 and scroll into negative scrollLeft
+  const rtl = view.getComputedStyle(scroller).direction === 'rtl';
+  const scrollLeft = rtl ? maxScrollLeft + (scroller.scrollLeft || 0) : (scroller.scrollLeft || 0);
+
+  const edges = [];
+  if (deltaY < 0 && scrollTop <= 1) edges.push('top');
+  if (deltaY > 0 && scrollTop >= maxScrollTop - 1) edges.push('bottom');
+  if (deltaX < 0 && scrollLeft <= 1) edges.push('left');
+  if (deltaX > 0 && scrollLeft >= maxScrollLeft - 1) edges.push('right');
+  return edges;
+}
+
+/**
+ * Returns the direction an attempt pushed in: the summed deltas of its input, leaving out
+ * events whose default was prevented (they never tried to scroll).
+ */
+function getBoundaryAttemptDeltas(attempt) {
+  let deltaX = 0;
+  let deltaY = 0;
+  for (const input of attempt.inputs) {
+    if (input.event && input.event.defaultPrevented) continue;
+    deltaX += input.deltaX;
+    deltaY += input.deltaY;
+  }
+  return { deltaX, deltaY };
+}
+
+/**
+ * Whether a scroller has a pending attempt that is blocked at an edge in every direction it pushes.
+ */
+function isBoundaryAttemptBlocked(scroller) {
+  const attempt = pendingBoundaryAttempts.get(scroller);
+  if (!attempt) return false;
+  const { deltaX, deltaY } = getBoundaryAttemptDeltas(attempt);
+  if (!deltaX && !deltaY) return false;
+  const edges = getBlockedEdges(scroller, deltaX, deltaY);
+  return edges.length === (deltaX ? 1 : 0) + (deltaY ? 1 : 0);
+}
+
+/**
+ * Returns the nearest ancestor scroller that started scrolling since the attempt began,
+ * i.e. where the input chained to.
+ */
+function findChainedScroller(attempt) {
+  const rootScroller = getRootScrollerElement(attempt.scroller.ownerDocument);
+  let ancestor = attempt.scroller === rootScroller ? null : getComposedParentElement(attempt.scroller);
+  while (ancestor) {
+    const scroller = normalizeScrollTarget(ancestor);
+    const state = activeScrolls.get(scroller);
+    if (state && state.startTime >= attempt.startTime) return scroller;
+    if (scroller === rootScroller) break;
+    ancestor = getComposedParentElement(ancestor);
+  }
+  const rootState = attempt.scroller === rootScroller ? null : activeScrolls.get(rootScroller);
+  return rootState && rootState.startTime >= attempt.startTime ? rootScroller : null;
+}
+
+/**
+ * Emits a boundary-hit entry for an attempt that never turned into a scroll.
+ */
+function finishBoundaryAttempt(attempt) {
+  if (pendingBoundaryAttempts.get(attempt.scroller) !== attempt) return;
+  pendingBoundaryAttempts.delete(attempt.scroller);
+
+  const { scroller } = attempt;
+  const { deltaX, deltaY } = getBoundaryAttemptDeltas(attempt);
+  if (activeScrolls.has(scroller) || (!deltaX && !deltaY)) return;
+  const boundaryEdges = getBlockedEdges(scroller, deltaX, deltaY);
+  // Not pinned at an edge: something else (e.g. preventDefault) stopped the scroll
+  if (!boundaryEdges.length) return;
+
+  // overscroll-behavior of the axis the input mostly pushed along decides whether it may chain
+  const view = scroller.ownerDocument.defaultView || window;
+  const style = view.getComputedStyle(scroller);
+  const overscrollBehavior = (Math.abs(deltaY) >= Math.abs(deltaX) ? style.overscrollBehaviorY : style.overscrollBehaviorX) || 'auto';
+
+  const now = scheduler.now();
+  const recentHits = (boundaryHitTimes.get(scroller) || [])
+    .filter(time => now - time <= CONFIG.FRUSTRATION_WINDOW_MS);
+  recentHits.push(now);
+  boundaryHitTimes.set(scroller, recentHits);
+
+  queueScrollEntry(new PerformanceScrollTimingPolyfill({
+    startTime: attempt.startTime,
+    firstFrameTime: attempt.startTime,
+    duration: attempt.lastTime - attempt.startTime,
+    framesExpected: 0,
+    framesProduced: 0,
+    framesExpectedAtBaseline: 0,
+    framesExpectedAtReference: 0,
+    checkerboardTime: 0,
+    refreshRate: estimatedRefreshRate,
+    baselineRefreshRate,
+    scrollSource: attempt.source,
+    scrollBehavior: null,
+    target: scroller,
+    ...getScrollContext(scroller),
+    deltaX: 0,
+    deltaY: 0,
+    endDetection: 'boundary',
+    ...attempt.navigation,
+    boundaryEdges,
+    overscrollBehavior,
+    chainedTarget: overscrollBehavior === 'auto' ? findChainedScroller(attempt) : null,
+    boundaryHitCount: recentHits.length,
+    frustrated: recentHits.length >= CONFIG.FRUSTRATION_MIN_HITS
+  }));
+}
+
+// === Module: Performance Timeline ===
+
+// Polyfill-side stand-in for the performance timeline. Entries are buffered so they can be
+// replayed to late `buffered: true` observers and returned from performance.getEntries*().
+// Like the resource timing buffer it is bounded; once full, new entries are dropped and a
+// 'scrolltimingbufferfull' event is dispatched on `performance`.
+const scrollTimelineBuffer = [];
+let scrollTimelineBufferSize = CONFIG.SCROLL_TIMELINE_BUFFER_SIZE;
+let droppedScrollEntriesCount = 0;
+const originalPerformanceMethods = {};
+const PERFORMANCE_TIMELINE_METHODS = ['getEntries', 'getEntriesByType', 'getEntriesByName', 'clearScrollTimings', 'setScrollTimingBufferSize'];
+const originalPerformanceDescriptors = new Map();
+
+/**
+ * Adds an entry to the timeline buffer, dropping it if the buffer is full.
+ * The buffer-full event fires on the first drop after each clear or resize.
+ */
+function addToScrollTimeline(entry) {
+  if (scrollTimelineBuffer.length < scrollTimelineBufferSize) {
+    scrollTimelineBuffer.push(entry);
+    return;
+  }
+
+  droppedScrollEntriesCount++;
+  if (droppedScrollEntriesCount === 1) {
+    logger.warn(`[ScrollTimingPolyfill] Scroll timeline buffer full (${scrollTimelineBufferSize} entries), dropping new entries`);
+    performance.dispatchEvent(new Event('scrolltimingbufferfull'));
+  }
+}
+
+/**
+ * Records a finished entry in the timeline and queues it for every registered observer.
+ */
+function queueScrollEntry(entry) {
+  addToScrollTimeline(entry);
+  scrollObservers.forEach(record => enqueueScrollEntries(record, [entry]));
+}
+
+/**
+ * Normalizes the scroll-specific observe() options into an entry filter:
+ * - `target`: only entries whose scroller is this element or inside its subtree
+ * - `durationThreshold`: only entries lasting at least this many ms (as in Event Timing)
+ * - `scrollSources`: only entries with one of these scroll sources
+ */
+function createScrollEntryFilter(options) {
+  let target = null;
+  if (options.target) {
+    const isElementOrDocument = options.target === window || options.target.nodeType === 1 || options.target.nodeType === 9;
+    if (isElementOrDocument) {
+      target = normalizeScrollTarget(options.target);
+    } else {
+      logger.warn('[ScrollTimingPolyfill] Invalid observe() target, ignoring');
+    }
+  }
+
+  let scrollSources = null;
+  if (options.scrollSources !== undefined) {
+    if (Array.isArray(options.scrollSources)) {
+      scrollSources = new Set(options.scrollSources);
+    } else {
+      logger.warn('[ScrollTimingPolyfill] observe() scrollSources must be an array, ignoring');
+    }
+  }
+
+  return {
+    target,
+    durationThreshold: Math.max(0, Number(options.durationThreshold) || 0),
+    scrollSources
+  };
+}
+
+/**
+ * Whether an entry passes an observer's filter.
+ */
+function matchesScrollEntryFilter(entry, filter) {
+  if (entry.duration < filter.durationThreshold) return false;
+  if (filter.scrollSources && !filter.scrollSources.has(entry.scrollSource)) return false;
+  if (filter.target) {
+    if (!entry.target) return false;
+    if (!isInComposedSubtree(filter.target, entry.target)) return false;
+  }
+  return true;
+}
+
+/**
+ * Adds entries matching the observer's filter to its pending queue and schedules delivery
+ * in a later task. Entries ending in the same task reach the callback as a single batch,
+ * matching the asynchronous delivery of native PerformanceObserver callbacks.
+ */
+function enqueueScrollEntries(record, entries) {
+  const matching = entries.filter(entry => matchesScrollEntryFilter(entry, record.filter));
+  if (!matching.length) return;
+
+  record.queue.push(...matching);
+  if (record.deliveryScheduled) return;
+  record.deliveryScheduled = true;
+  scheduler.setTimeout(() => deliverScrollEntries(record), 0);
+}
+
+/**
+ * Invokes an observer's callback with its pending entries, unless they were already
+ * consumed by takeRecords() or the observer disconnected in the meantime.
+ */
+function deliverScrollEntries(record) {
+  record.deliveryScheduled = false;
+  if (!record.queue.length || !scrollObservers.has(record)) return;
+
+  const entries = record.queue.splice(0);
+  const callbackOptions = {};
+  if (typeof record.droppedEntriesCount === 'number') {
+    callbackOptions.droppedEntriesCount = record.droppedEntriesCount;
+    record.droppedEntriesCount = undefined;
+  }
+
+  record.callback.call(record.observer, new PerformanceObserverEntryListPolyfill(entries), record.observer, callbackOptions);
+}
+
+/**
+ * Entry list passed to observer callbacks, mirroring PerformanceObserverEntryList
+ * (which can't be constructed from script).
+ */
+class PerformanceObserverEntryListPolyfill {
+  /**
+   * @param {PerformanceScrollTimingPolyfill[]} entries - Entries delivered in this batch
+   */
+  constructor(entries) {
+    this._entries = entries.slice().sort((a, b) => a.startTime - b.startTime);
+  }
+
+  getEntries() {
+    return this._entries.slice();
+  }
+
+  getEntriesByType(type) {
+    return this._entries.filter(entry => entry.entryType === type);
+  }
+
+  getEntriesByName(name, type) {
+    return this._entries.filter(entry => entry.name === name && (type === undefined || entry.entryType === type));
+  }
+}
+
+/**
+ * Merges native entries with buffered scroll entries in chronological order.
+ */
+function mergeWithScrollEntries(nativeEntries, scrollEntries) {
+  if (!scrollEntries.length) return nativeEntries;
+  return nativeEntries.concat(scrollEntries).sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Extends performance.getEntries*() with buffered scroll entries and adds
+ * clearScrollTimings()/setScrollTimingBufferSize() modeled on the resource timing methods.
+ */
+function installPerformanceTimelineHooks() {
+  for (const name of PERFORMANCE_TIMELINE_METHODS) {
+    originalPerformanceMethods[name] = performance[name];
+    originalPerformanceDescriptors.set(name, Object.getOwnPropertyDescriptor(performance, name));
+  }
+
+  performance.getEntries = function() {
+    return mergeWithScrollEntries(originalPerformanceMethods.getEntries.call(performance), scrollTimelineBuffer);
+  };
+
+  performance.getEntriesByType = function(type) {
+    if (type === 'scroll') return scrollTimelineBuffer.slice();
+    return originalPerformanceMethods.getEntriesByType.call(performance, type);
+  };
+
+  performance.getEntriesByName = function(name, type) {
+    const nativeEntries = originalPerformanceMethods.getEntriesByName.call(performance, name, type);
+    const matchesScroll = (type === undefined || type === 'scroll') && name === 'scroll';
+    return matchesScroll ? mergeWithScrollEntries(nativeEntries, scrollTimelineBuffer) : nativeEntries;
+  };
+
+  performance.clearScrollTimings = function() {
+    scrollTimelineBuffer.length = 0;
+    droppedScrollEntriesCount = 0;
+  };
+
+  performance.setScrollTimingBufferSize = function(maxSize) {
+    scrollTimelineBufferSize = Math.max(0, Math.floor(Number(maxSize) || 0));
+    droppedScrollEntriesCount = 0;
+  };
+}
+
+/**
+ * Restores the performance methods replaced by installPerformanceTimelineHooks().
+ */
+function uninstallPerformanceTimelineHooks() {
+  originalPerformanceDescriptors.forEach((descriptor, name) => {
+    if (descriptor) {
+      Object.defineProperty(performance, name, descriptor);
+    } else {
+      delete performance[name];
+    }
+  });
+  originalPerformanceDescriptors.clear();
+  scrollTimelineBufferSize = CONFIG.SCROLL_TIMELINE_BUFFER_SIZE;
+}
+
+// === Module: Performance Entry ===
+
+// Read-only attributes of a scroll entry, in toJSON() order. Values live in a WeakMap
+// and are exposed through prototype getters, like the native PerformanceEntry attributes.
+const SCROLL_ENTRY_ATTRIBUTES = [
+  'entryType', 'name', 'startTime', 'firstFrameTime', 'duration', 'scrollStartLatency',
+  'framesExpected', 'framesProduced', 'refreshRate',
+  'framesExpectedAtBaseline', 'baselineRefreshRate', 'framesExpectedAtReference', 'referenceRefreshRate',
+  'checkerboardTime', 'checkerboardAreaMax', 'checkerboardAreaAvg', 'checkerboardEstimated',
+  'scrollSource', 'scrollBehavior', 'target', 'frame', 'shadowHost', 'deltaX', 'deltaY',
+  'pathDistance', 'averageVelocity', 'peakVelocity', 'velocityX', 'velocityY', 'velocityBucket',
+  'interrupted', 'truncated', 'endDetection', 'navigationId', 'url', 'inputEndTime', 'phases', 'snapTarget',
+  'boundaryEdges', 'overscrollBehavior', 'chainedTarget', 'boundaryHitCount', 'frustrated',
+  'frameTiming', 'longFrames', 'handlerTiming'
+];
+const scrollEntryData = new WeakMap();
+
+// Attribute developers can set on a scroller to name it in serialized entries
+const TARGET_NAME_ATTRIBUTE = 'data-scroll-timing-name';
+
+/**
+ * Returns a stable, serializable identifier for a scroll target: its
+ * data-scroll-timing-name attribute, else `#id`, else a CSS selector path from the
+ * nearest ancestor with an id (or the root) using tag names and :nth-of-type().
+ * @param {Element|null} element
+ * @returns {string|null}
+ */
+function getTargetIdentifier(element) {
+  if (!element || element.nodeType !== 1) return null;
+
+  const name = element.getAttribute(TARGET_NAME_ATTRIBUTE);
+  if (name) return name;
+
+  const escape = (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') ? CSS.escape : (value) => value;
+  const segments = [];
+  let current = element;
+  while (current && current.nodeType === 1) {
+    if (current.id) {
+      segments.unshift(`#${escape(current.id)}`);
+      break;
+    }
+
+    const tagName = current.localName;
+    const parent = current.parentElement;
+    if (!parent) {
+      segments.unshift(tagName);
+      break;
+    }
+
+    const sameTagSiblings = Array.from(parent.children).filter(child => child.localName === tagName);
+    segments.unshift(sameTagSiblings.length > 1
+      ? `${tagName}:nth-of-type(${sameTagSiblings.indexOf(current) + 1})`
+      : tagName);
+    current = parent;
+  }
+  return segments.join(' > ');
+}
+
+/**
+ * Polyfill for the PerformanceScrollTiming API.
+ * Provides performance metrics for scroll interactions including timing,
+ * smoothness, frame production, and scroll distance.
+ * Inherits from PerformanceEntry (where available) so entries pass `instanceof PerformanceEntry`;
+ * all attributes are read-only.
+ *
+ * @class
+ */
+class PerformanceScrollTimingPolyfill {
+  /**
+   * @param {Object} data - Scroll timing data
+   * @param {DOMHighResTimeStamp} data.startTime - Timestamp of first input event that initiated scroll
+   * @param {DOMHighResTimeStamp} data.firstFrameTime - Timestamp when first visual frame was presented
+   * @param {DOMHighResTimeStamp} data.duration - Total scroll duration until scrolling stops
+   * @param {number} data.framesExpected - Number of frames that should have rendered at target refresh rate
+   * @param {number} data.framesProduced - Number of frames actually rendered during scroll
+   * @param {number} data.checkerboardTime - Total duration (ms) unpainted areas were visible (0 unless estimation is opted into)
+   * @param {number|null} [data.checkerboardAreaMax] - Estimated peak unpainted area, % of the scroller (polyfill extension)
+   * @param {number|null} [data.checkerboardAreaAvg] - Estimated time-weighted average unpainted area, % (polyfill extension)
+   * @param {boolean} [data.checkerboardEstimated] - True if checkerboard values are heuristic estimates (polyfill extension)
+   * @param {number} [data.refreshRate] - Refresh rate (Hz) framesExpected was computed against (polyfill extension)
+   * @param {number} [data.baselineRefreshRate] - Worker-measured refresh rate (Hz) framesExpectedAtBaseline was computed against (polyfill extension)
+   * @param {number} [data.framesExpectedAtBaseline] - Frames expected at the worker baseline rate (polyfill extension)
+   * @param {number} [data.framesExpectedAtReference] - Frames expected at a fixed 60Hz reference rate (polyfill extension)
+   * @param {string} data.scrollSource - Input method: 'touch', 'wheel', 'keyboard', 'other', 'programmatic',
+   *   or (opt-in via observe({ scrollbarSource: true })) 'scrollbar', 'autoscroll'
+   * @param {string|null} [data.scrollBehavior] - For programmatic scrolls, 'smooth' or 'instant'; null otherwise (polyfill extension)
+   * @param {Element|null} data.target - The scrolled element
+   * @param {Element|null} [data.frame] - The same-origin iframe whose document contains the target; null in the top-level document (polyfill extension)
+   * @param {Element|null} [data.shadowHost] - Host of the open shadow root containing the target; null outside shadow DOM (polyfill extension)
+  * @param {number} data.deltaX - Horizontal scroll delta in pixels (positive=right, negative=left)
+  * @param {number} data.deltaY - Vertical scroll delta in pixels (positive=down, negative=up)
+   * @param {number} [data.pathDistance] - Total distance travelled in pixels, summing absolute motion (polyfill extension)
+   * @param {number} [data.averageVelocity] - pathDistance / duration, in px/s (polyfill extension)
+   * @param {number} [data.peakVelocity] - Maximum per-frame velocity, in px/s (polyfill extension)
+   * @param {number} [data.velocityX] - Directional horizontal velocity, deltaX / duration, in px/s (polyfill extension)
+   * @param {number} [data.velocityY] - Directional vertical velocity, deltaY / duration, in px/s (polyfill extension)
+   * @param {string} [data.velocityBucket] - 'slow', 'medium', or 'fast' by averageVelocity (polyfill extension)
+   * @param {boolean} [data.interrupted] - True if a different input source ended the scroll early (polyfill extension)
+   * @param {boolean} [data.truncated] - True if the scroll was cut off unfinished because the page was hidden (polyfill extension)
+   * @param {string} [data.endDetection] - How the end was detected: 'scrollend', 'timeout', 'interruption',
+   *   'boundary' for input that never scrolled because the target was at an edge, or 'hidden' (polyfill extension)
+   * @param {number} [data.navigationId] - Navigation the scroll started in: 1 for the page load, incremented on each
+   *   history.pushState() and popstate of the top-level window (polyfill extension)
+   * @param {string|null} [data.url] - URL (route) of the target's document at scroll start; a same-origin iframe's own URL
+   *   for scrolls inside it (polyfill extension)
+   * @param {DOMHighResTimeStamp|null} [data.inputEndTime] - When the finger lifted, starting momentum; null if not applicable (polyfill extension)
+   * @param {Array<Object>} [data.phases] - Consecutive phase runs in order, each {phase: 'active'|'momentum'|'snap'|'overscroll',
+   *   startTime, duration, framesProduced, framesExpected} (polyfill extension)
+   * @param {Element|null} [data.snapTarget] - Element the scroll snapped to, from scrollsnapchange(ing) where supported (polyfill extension)
+   * @param {string[]} [data.boundaryEdges] - For boundary hits (endDetection 'boundary'), the edges the input pushed against:
+   *   'top', 'bottom', 'left', 'right'; empty otherwise (polyfill extension)
+   * @param {string|null} [data.overscrollBehavior] - For boundary hits, the target's overscroll-behavior along the pushed axis (polyfill extension)
+   * @param {Element|null} [data.chainedTarget] - For boundary hits, the ancestor scroller the input chained to, if any (polyfill extension)
+   * @param {number} [data.boundaryHitCount] - For boundary hits, hits on the target within the frustration window, including this one (polyfill extension)
+   * @param {boolean} [data.frustrated] - True if the boundary hit repeats often enough to count as frustrated scrolling (polyfill extension)
+   * @param {Object|null} [data.frameTiming] - Opt-in per-frame detail (framesDropped, longestFrameGap, jankRunCount,
+   *   averageFrameDuration, frameDurationVariance, frames); null unless an observer passed `frameTiming: true` (polyfill extension)
+   * @param {Array<Object>} [data.longFrames] - Long animation frames (or long tasks) overlapping the scroll, with script
+   *   attribution and whether each blocked the first frame ('scroll-start') or a later one ('mid-scroll') (polyfill extension)
+   * @param {Object|null} [data.handlerTiming] - Opt-in scroll, wheel and touch handler cost (totalTime, invocationCount,
+   *   topHandlers, blockingListeners: non-passive listeners that ran before the first frame); null unless an observer
+   *   passed `handlerTiming: true` (polyfill extension)
+   */
+  constructor(data) {
+    // Validate required numeric fields
+    const numericFields = ['startTime', 'firstFrameTime', 'duration'];
+    for (const field of numericFields) {
+      if (typeof data[field] !== 'number' || data[field] < 0) {
+        logger.warn(`[ScrollTimingPolyfill] Invalid ${field}: ${data[field]}, defaulting to 0`);
+        data[field] = Math.max(0, data[field] || 0);
+      }
+    }
+
+    // Validate integer fields
+    const integerFields = ['framesExpected', 'framesExpectedAtBaseline', 'framesExpectedAtReference', 'framesProduced'];
+    for (const field of integerFields) {
+      if (typeof data[field] !== 'number' || data[field] < 0 || !Number.isInteger(data[field])) {
+        logger.warn(`[ScrollTimingPolyfill] Invalid ${field}: ${data[field]}, defaulting to 0`);
+        data[field] = Math.max(0, Math.floor(data[field] || 0));
+      }
+    }
+
+    // Validate scroll source
+    if (!VALID_SCROLL_SOURCES.has(data.scrollSource)) {
+      logger.warn(`[ScrollTimingPolyfill] Invalid scrollSource: ${data.scrollSource}, defaulting to 'other'`);
+      data.scrollSource = 'other';
+    }
+
+    // Validate scroll behavior (only meaningful for programmatic scrolls)
+    if (data.scrollSource !== 'programmatic' || !SCROLL_BEHAVIORS.has(data.scrollBehavior)) {
+      data.scrollBehavior = data.scrollSource === 'programmatic' ? 'instant' : null;
+    }
+
+    // Validate end detection
+    if (!VALID_END_DETECTIONS.has(data.endDetection)) {
+      data.endDetection = 'timeout';
+    }
+
+    // Validate target (should be Element or null)
+    if (data.target !== null && (!data.target || data.target.nodeType !== 1)) {
+      logger.warn(`[ScrollTimingPolyfill] Invalid target, setting to null`);
+      data.target = null;
+    }
+
+    const fields = {};
+    fields.entryType = 'scroll';
+    fields.name = 'scroll';
+    fields.startTime = data.startTime;
+    fields.firstFrameTime = data.firstFrameTime;
+    fields.duration = data.duration;
+    fields.framesExpected = data.framesExpected;
+    fields.framesProduced = data.framesProduced;
+    fields.refreshRate = data.refreshRate > 0 ? data.refreshRate : CONFIG.DEFAULT_REFRESH_RATE;
+    fields.framesExpectedAtBaseline = data.framesExpectedAtBaseline;
+    fields.baselineRefreshRate = data.baselineRefreshRate > 0 ? data.baselineRefreshRate : CONFIG.DEFAULT_REFRESH_RATE;
+    fields.framesExpectedAtReference = data.framesExpectedAtReference;
+    fields.referenceRefreshRate = CONFIG.REFERENCE_REFRESH_RATE;
+
+    // Derived metric: scroll start latency (polyfill convenience, not in proposed spec)
+    fields.scrollStartLatency = Math.max(0, fields.firstFrameTime - fields.startTime);
+
+    fields.checkerboardTime = data.checkerboardTime;
+    fields.checkerboardAreaMax = typeof data.checkerboardAreaMax === 'number' ? data.checkerboardAreaMax : null;
+    fields.checkerboardAreaAvg = typeof data.checkerboardAreaAvg === 'number' ? data.checkerboardAreaAvg : null;
+    fields.checkerboardEstimated = data.checkerboardEstimated === true;
+    fields.scrollSource = data.scrollSource;
+    fields.scrollBehavior = data.scrollBehavior;
+    fields.target = data.target;
+    fields.frame = data.frame || null;
+    fields.shadowHost = data.shadowHost || null;
+    fields.deltaX = data.deltaX || 0;
+    fields.deltaY = data.deltaY || 0;
+    fields.pathDistance = data.pathDistance || 0;
+    fields.averageVelocity = data.averageVelocity || 0;
+    fields.peakVelocity = data.peakVelocity || 0;
+    fields.velocityX = data.velocityX || 0;
+    fields.velocityY = data.velocityY || 0;
+    fields.velocityBucket = VELOCITY_BUCKETS.has(data.velocityBucket) ? data.velocityBucket : getVelocityBucket(fields.averageVelocity);
+    fields.interrupted = data.interrupted === true;
+    fields.truncated = data.truncated === true;
+    fields.endDetection = data.endDetection;
+    fields.navigationId = Number.isInteger(data.navigationId) && data.navigationId > 0 ? data.navigationId : 1;
+    fields.url = typeof data.url === 'string' ? data.url : null;
+    fields.inputEndTime = typeof data.inputEndTime === 'number' ? data.inputEndTime : null;
+    fields.phases = Object.freeze(Array.isArray(data.phases) ? data.phases.filter(run => SCROLL_PHASES.has(run.phase)) : []);
+    fields.snapTarget = data.snapTarget || null;
+    fields.boundaryEdges = Object.freeze(Array.isArray(data.boundaryEdges) ? data.boundaryEdges.filter(edge => SCROLL_EDGES.has(edge)) : []);
+    fields.overscrollBehavior = data.overscrollBehavior || null;
+    fields.chainedTarget = data.chainedTarget || null;
+    fields.boundaryHitCount = data.boundaryHitCount || 0;
+    fields.frustrated = data.frustrated === true;
+    fields.frameTiming = data.frameTiming || null;
+    fields.longFrames = Object.freeze(Array.isArray(data.longFrames) ? data.longFrames.slice() : []);
+    if (fields.frameTiming) Object.freeze(fields.frameTiming);
+    fields.handlerTiming = data.handlerTiming ? Object.freeze(data.handlerTiming) : null;
+
+    scrollEntryData.set(this, Object.freeze(fields));
+  }
+
+  /**
+   * Returns a JSON representation of the scroll timing entry.
+   * The target, frame, shadow host, snap target and chained target elements are replaced by stable identifiers
+   * (see getTargetIdentifier) so entries can be serialized and beaconed. A target's
+   * identifier is relative to its own document or shadow root.
+   * @returns {Object} JSON-serializable object with all entry properties
+   */
+  toJSON() {
+    const json = {};
+    for (const attribute of SCROLL_ENTRY_ATTRIBUTES) {
+      json[attribute] = this[attribute];
+    }
+    json.target = getTargetIdentifier(this.target);
+    json.frame = getTargetIdentifier(this.frame);
+    json.shadowHost = getTargetIdentifier(this.shadowHost);
+    json.snapTarget = getTargetIdentifier(this.snapTarget);
+    json.chainedTarget = getTargetIdentifier(this.chainedTarget);
+    return json;
+  }
+}
+
+for (const attribute of SCROLL_ENTRY_ATTRIBUTES) {
+  Object.defineProperty(PerformanceScrollTimingPolyfill.prototype, attribute, {
+    get() {
+      const fields = scrollEntryData.get(this);
+      if (!fields) throw new TypeError('Illegal invocation');
+      return fields[attribute];
+    },
+    enumerable: true,
+    configurable: true
+  });
+}
+
+// Chain onto PerformanceEntry for instanceof checks. Its constructor can't be called from
+// script, so attributes are provided by the getters above rather than super().
+if (typeof PerformanceEntry === 'function') {
+  Object.setPrototypeOf(PerformanceScrollTimingPolyfill.prototype, PerformanceEntry.prototype);
+  Object.setPrototypeOf(PerformanceScrollTimingPolyfill, PerformanceEntry);
+}
+
+// === Module: Polyfill Lifecycle ===
+
+let polyfillInstalled = false;
+let OriginalPerformanceObserver = null;
+// Native PerformanceScrollTiming replaced by install({ force: true }), restored by uninstall()
+let nativePerformanceScrollTimingDescriptor = null;
+
+// Listeners added by the polyfill, so uninstall() can remove them
+const polyfillListeners = [];
+
+// Documents, iframes and open shadow roots the polyfill listens on, each with the listeners
+// and the MutationObserver added for it and its anchor: the iframe of an iframe document, the
+// shadow host of a shadow root, null for the top-level document. Roots are released once their
+// anchor leaves the document (see pruneDetachedRoots), so detached components and frames
+// aren't kept alive until uninstall().
+const instrumentedRoots = new Map();
+// The attachShadow methods wrapped to catch new shadow roots
+const originalAttachShadowApis = [];
+
+// Per-instance scroll registrations of patched PerformanceObserver instances
+const scrollObserverRecords = new WeakMap();
+const observerCallbacks = new WeakMap();
+
+/**
+ * Adds an event listener that uninstall() removes again. Listeners on an instrumented root
+ * go in that root's list instead, so they're removed when the root is released.
+ */
+function addPolyfillListener(target, type, listener, options, listeners = polyfillListeners) {
+  // Bypass handler timing: the polyfill's own listeners aren't page handlers
+  if (nativeAddEventListener) {
+    nativeAddEventListener.call(target, type, listener, options);
+  } else {
+    target.addEventListener(type, listener, options);
+  }
+  listeners.push({ target, type, listener, options });
+}
+
+/**
+ * Removes (and forgets) the listeners in a list filled by addPolyfillListener.
+ */
+function removePolyfillListeners(listeners) {
+  listeners.splice(0).forEach(({ target, type, listener, options }) => {
+    target.removeEventListener(type, listener, options);
+  });
+}
+
+/**
+ * Registers (or updates) the scroll observation of a PerformanceObserver instance.
+ * Observing 'scroll' again replaces the options instead of adding a second registration,
+ * and buffered entries are only replayed when the registration is first created.
+ */
+function registerScrollObserver(observer, options) {
+  if (options.handlerTiming) installHandlerTiming();
+
+  const existing = scrollObserverRecords.get(observer);
+  if (existing) {
+    existing.options = options;
+    existing.filter = createScrollEntryFilter(options);
+    return;
+  }
+
+  const record = {
+    callback: observerCallbacks.get(observer),
+    options,
+    observer,
+    filter: createScrollEntryFilter(options),
+    queue: [],
+    deliveryScheduled: false
+  };
+  scrollObserverRecords.set(observer, record);
+  scrollObservers.add(record);
+
+  // Like the native timeline, `buffered` only applies to single-type observation
+  if (options.type === 'scroll' && options.buffered && scrollTimelineBuffer.length) {
+    record.droppedEntriesCount = droppedScrollEntriesCount;
+    enqueueScrollEntries(record, scrollTimelineBuffer);
+  }
+}
+
+/**
+ * Removes the scroll registration of a PerformanceObserver instance, dropping pending entries.
+ */
+function unregisterScrollObserver(observer) {
+  const record = scrollObserverRecords.get(observer);
+  if (!record) return;
+  record.queue.length = 0;
+  scrollObservers.delete(record);
+  scrollObserverRecords.delete(observer);
+  if (!getRequestedCheckerboard().enabled) releaseCheckerboardTrackers();
+}
+
+/**
+ * Base for the PerformanceObserver subclass where there's no native PerformanceObserver
+ * (older browsers, jsdom): it supports no native entry types, so only 'scroll' is observable.
+ */
+class NoNativeEntriesPerformanceObserver {
+  static get supportedEntryTypes() {
+    return Object.freeze([]);
+  }
+
+  observe() {}
+
+  takeRecords() {
+    return [];
+  }
+
+  disconnect() {}
+}
+
+/**
+ * Creates a PerformanceObserver subclass that adds the 'scroll' entry type to the native
+ * constructor. As a real subclass, instances pass `instanceof PerformanceObserver` and keep
+ * their scroll registration per instance, so observers sharing a callback stay independent.
+ * @param {Function} NativePerformanceObserver - The constructor being replaced
+ */
+function createPerformanceObserverPolyfill(NativePerformanceObserver) {
+  return class ScrollTimingPerformanceObserver extends NativePerformanceObserver {
+    constructor(callback) {
+      super(callback);
+      observerCallbacks.set(this, callback);
+    }
+
+    static get supportedEntryTypes() {
+      const nativeTypes = NativePerformanceObserver.supportedEntryTypes || [];
+      return Object.freeze([...new Set([...nativeTypes, 'scroll'])].sort());
+    }
+
+    observe(options = {}) {
+      const entryTypes = Array.isArray(options.entryTypes) ? options.entryTypes : null;
+
+      if (options.type === 'scroll' || (entryTypes && entryTypes.includes('scroll'))) {
+        registerScrollObserver(this, options);
+      } else if (entryTypes) {
+        // An entryTypes list replaces everything the observer watched before
+        unregisterScrollObserver(this);
+      }
+
+      // 'scroll' is handled by the polyfill; only forward natively supported types
+      if (options.type === 'scroll') return;
+      if (entryTypes) {
+        const nativeEntryTypes = entryTypes.filter(type => type !== 'scroll');
+        if (!nativeEntryTypes.length) {
+          super.disconnect();
+          return;
+        }
+        super.observe({ ...options, entryTypes: nativeEntryTypes });
+        return;
+      }
+      super.observe(options);
+    }
+
+    takeRecords() {
+      const records = super.takeRecords();
+      const record = scrollObserverRecords.get(this);
+      if (record) records.push(...record.queue.splice(0));
+      return records;
+    }
+
+    disconnect() {
+      unregisterScrollObserver(this);
+      super.disconnect();
+    }
+  };
+}
+
+/**
+ * Records wheel input as a hint for the scroller under the pointer.
+ */
+function onWheelInput(event) {
+  endPointerScrollSession();
+  recordInputSourceHint(findScrollableFromEventTarget(event), 'wheel', {
+    deltaX: event.shiftKey && !event.deltaX ? event.deltaY : event.deltaX,
+    deltaY: event.shiftKey && !event.deltaX ? 0 : event.deltaY
+  }, event);
+}
+
+/**
+ * Records touch input as a hint and marks the finger as down.
+ */
+function onTouchStartInput(event) {
+  endPointerScrollSession();
+  const scroller = findScrollableFromEventTarget(event);
+  recordInputSourceHint(scroller, 'touch');
+  onTouchInputStart(scroller);
+  lastTouchPoint = event.touches && event.touches[0]
+    ? { x: event.touches[0].clientX, y: event.touches[0].clientY }
+    : null;
+}
+
+/**
+ * Refreshes the touch hint while the finger moves. Content follows the finger, so
+ * dragging up scrolls down: the intended direction is opposite to the finger's movement.
+ */
+function onTouchMoveInput(event) {
+  const touch = event.touches && event.touches[0];
+  let details;
+  if (touch && lastTouchPoint) {
+    details = { deltaX: lastTouchPoint.x - touch.clientX, deltaY: lastTouchPoint.y - touch.clientY };
+  }
+  if (touch) lastTouchPoint = { x: touch.clientX, y: touch.clientY };
+  recordInputSourceHint(findScrollableFromEventTarget(event), 'touch', details, event);
+}
+
+/**
+ * Whether an element takes text or option input, so scroll keys typed into it edit or
+ * select rather than scroll.
+ */
+function isEditableElement(element) {
+  if (!element) return false;
+  const name = element.localName;
+  if (name === 'input' || name === 'textarea' || name === 'select') return true;
+  if (typeof element.isContentEditable === 'boolean') return element.isContentEditable;
+  // DOM implementations without isContentEditable (jsdom)
+  return !!(element.closest && element.closest('[contenteditable]:not([contenteditable="false"])'));
+}
+
+/**
+ * Records keyboard input as a hint for keys commonly used to scroll.
+ */
+function onKeyDownInput(event) {
+  // Heuristic: keys commonly used to scroll
+  if (!SCROLL_KEYS.has(event.key) || event.defaultPrevented) return;
+  endPointerScrollSession();
+
+  // Prefer a focused scroll container if we can find one (in the document the listener is on)
+  const doc = event.currentTarget && event.currentTarget.nodeType === 9 ? event.currentTarget : document;
+  let active = doc.activeElement;
+  // Focus inside open shadow roots is only visible from the shadow root itself
+  while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+    active = active.shadowRoot.activeElement;
+  }
+  if (isEditableElement(active)) return;
+  const pseudoEvent = { target: active, composedPath: () => [active] };
+  const [x, y] = SCROLL_KEY_DIRECTIONS[event.key];
+  const reverse = event.key === ' ' && event.shiftKey ? -1 : 1;
+  recordInputSourceHint(findScrollableFromEventTarget(pseudoEvent), 'keyboard', { deltaX: x * reverse, deltaY: y * reverse }, event);
+}
+
+/**
+ * Detects scrollbar presses and middle-click autoscroll when an observer opted in.
+ * Any press ends the previous session: autoscroll stops on the next click.
+ */
+function onPointerDownInput(event) {
+  endPointerScrollSession();
+  if (!isScrollbarSourceRequested()) return;
+  if (event.pointerType && event.pointerType !== 'mouse' && event.pointerType !== 'pen') return;
+
+  if (event.button === 0) {
+    const hit = findScrollbarUnderPointer(event);
+    if (hit) startPointerScrollSession(hit.scroller, 'scrollbar', { scrollbar: hit.scrollbar });
+    return;
+  }
+
+  // Middle-clicking a link opens it instead of starting autoscroll
+  const target = event.target;
+  if (event.button === 1 && !(target && target.closest && target.closest('a[href]'))) {
+    startPointerScrollSession(findScrollableFromEventTarget(event), 'autoscroll');
+  }
+}
+
+/**
+ * Ends a scrollbar drag when the button is released. Autoscroll started by a plain
+ * middle click continues until the next click or other input.
+ */
+function onPointerUpInput(event) {
+  if (pointerScrollSession && pointerScrollSession.source === 'scrollbar') endPointerScrollSession();
+}
+
+/**
+ * Registers a root for instrumentation. Returns its record, or null if it's already instrumented.
+ */
+function registerInstrumentedRoot(root, anchor) {
+  if (instrumentedRoots.has(root)) return null;
+  const record = { anchor, listeners: [], observer: null };
+  instrumentedRoots.set(root, record);
+  return record;
+}
+
+/**
+ * Attaches the polyfill's listeners to a document (the top-level one or a same-origin
+ * iframe's) and wraps its window's scroll APIs, then instruments nested roots inside it.
+ * @param {Document} doc
+ * @param {HTMLIFrameElement|null} [frame=null] - The iframe hosting the document, if any
+ */
+function instrumentDocument(doc, frame = null) {
+  const record = registerInstrumentedRoot(doc, frame);
+  if (!record) return;
+  const add = (type, listener, options) => addPolyfillListener(doc, type, listener, options, record.listeners);
+
+  // Attach event listeners for input source detection
+  add('wheel', onWheelInput, { passive: true });
+  add('touchstart', onTouchStartInput, { passive: true });
+  add('touchmove', onTouchMoveInput, { passive: true });
+  add('keydown', onKeyDownInput, { passive: true });
+
+  // Scrollbar and autoscroll presses (opt-in, see isScrollbarSourceRequested)
+  const pointerEvents = typeof PointerEvent === 'function';
+  add(pointerEvents ? 'pointerdown' : 'mousedown', onPointerDownInput, { passive: true, capture: true });
+  add(pointerEvents ? 'pointerup' : 'mouseup', onPointerUpInput, { passive: true, capture: true });
+
+  // Attach scroll event listener
+  // Note: 'scroll' doesn't bubble; using capture allows observing element scrolls
+  add('scroll', onScrollEvent, { passive: true, capture: true });
+
+  // Track the finger-lifted -> momentum boundary. Touch scrolling fires pointercancel
+  // rather than pointerup, so touch events carry the lifecycle for fingers.
+  add('touchend', onInputRelease, { passive: true, capture: true });
+  add('touchcancel', onInputRelease, { passive: true, capture: true });
+  add('pointerup', onInputRelease, { passive: true, capture: true });
+
+  // Native scroll end signal, where available (the timeout remains as a fallback)
+  if (supportsScrollEnd) {
+    add('scrollend', onScrollEndEvent, { passive: true, capture: true });
+  }
+
+  // Snap targets for the snap settle phase, where available
+  if (supportsScrollSnapEvents) {
+    add('scrollsnapchanging', onScrollSnapEvent, { passive: true, capture: true });
+    add('scrollsnapchange', onScrollSnapEvent, { passive: true, capture: true });
+  }
+
+  const view = doc.defaultView;
+  if (view) {
+    // Wrap scrollTo/scrollBy/scrollIntoView and scrollTop/scrollLeft setters for 'programmatic' attribution
+    installProgrammaticScrollHooks(view);
+    wrapAttachShadow(view);
+    record.view = view;
+  }
+
+  instrumentNestedRoots(doc, record);
+}
+
+/**
+ * Attaches scroll listeners to an open shadow root. Scroll, scrollend and snap events aren't
+ * composed, so they never reach the document; input events are, and need no listeners here.
+ */
+function instrumentShadowRoot(root) {
+  const record = registerInstrumentedRoot(root, root.host);
+  if (!record) return;
+  const add = (type, listener, options) => addPolyfillListener(root, type, listener, options, record.listeners);
+
+  add('scroll', onScrollEvent, { passive: true, capture: true });
+  if (supportsScrollEnd) {
+    add('scrollend', onScrollEndEvent, { passive: true, capture: true });
+  }
+  if (supportsScrollSnapEvents) {
+    add('scrollsnapchanging', onScrollSnapEvent, { passive: true, capture: true });
+    add('scrollsnapchange', onScrollSnapEvent, { passive: true, capture: true });
+  }
+
+  instrumentNestedRoots(root, record);
+}
+
+/**
+ * Returns a same-origin iframe's document, or null (cross-origin or not loaded).
+ */
+function getFrameDocument(frame) {
+  try {
+    return frame.contentDocument;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Instruments a same-origin iframe's current document and each document it loads later.
+ * Cross-origin iframes are skipped: their contentDocument is null.
+ */
+function instrumentFrame(frame) {
+  const record = registerInstrumentedRoot(frame, frame);
+  if (!record) return;
+
+  const instrumentFrameDocument = () => {
+    // Release the previously loaded document first: its window may be reused for the new one
+    pruneDetachedRoots();
+    const doc = getFrameDocument(frame);
+    if (doc) instrumentDocument(doc, frame);
+  };
+  addPolyfillListener(frame, 'load', instrumentFrameDocument, undefined, record.listeners);
+  instrumentFrameDocument();
+}
+
+/**
+ * Instruments an element if it's an iframe or hosts an open shadow root.
+ */
+function instrumentElement(element) {
+  if (element.localName === 'iframe') instrumentFrame(element);
+  if (element.shadowRoot) instrumentShadowRoot(element.shadowRoot);
+}
+
+/**
+ * Instruments the iframes and open shadow roots inside a document or shadow root, and
+ * watches it for ones added or removed later. Each shadow root needs its own MutationObserver
+ * because mutations inside it aren't reported to observers of the document.
+ */
+function instrumentNestedRoots(root, record) {
+  root.querySelectorAll('*').forEach(instrumentElement);
+
+  if (typeof MutationObserver !== 'function') return;
+  record.observer = new MutationObserver(records => {
+    let removed = false;
+    for (const mutation of records) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType !== 1) continue;
+        instrumentElement(node);
+        node.querySelectorAll('*').forEach(instrumentElement);
+      }
+      removed = removed || Array.prototype.some.call(mutation.removedNodes, node => node.nodeType === 1);
+    }
+    if (removed) pruneDetachedRoots();
+  });
+  record.observer.observe(root, { childList: true, subtree: true });
+}
+
+/**
+ * Whether an instrumented root is still part of the top-level document: its iframe still
+ * shows it, or its shadow host (or iframe element) is connected to a document that is.
+ */
+function isInstrumentedRootAttached(root) {
+  const record = instrumentedRoots.get(root);
+  if (!record) return false;
+  const { anchor } = record;
+  if (!anchor) return true;
+  if (root.nodeType === 9) {
+    return getFrameDocument(anchor) === root && isInstrumentedRootAttached(anchor);
+  }
+  return anchor.isConnected && isInstrumentedRootAttached(anchor.ownerDocument);
+}
+
+/**
+ * Removes a root's listeners and MutationObserver, and forgets it. For an iframe document,
+ * also restores the APIs wrapped in its window, so the lists of wrapped APIs don't keep
+ * discarded iframe windows alive.
+ */
+function releaseInstrumentedRoot(root) {
+  const record = instrumentedRoots.get(root);
+  if (!record) return;
+  removePolyfillListeners(record.listeners);
+  if (record.observer) record.observer.disconnect();
+  if (record.view && record.anchor) restoreWindowApis(record.view);
+  instrumentedRoots.delete(root);
+}
+
+/**
+ * Restores (and forgets) the scroll APIs and attachShadow methods wrapped in one window.
+ */
+function restoreWindowApis(view) {
+  const owners = new Set([view, view.Window.prototype, view.Element.prototype]);
+  for (const apis of [originalScrollApis, originalAttachShadowApis]) {
+    for (let index = apis.length - 1; index >= 0; index--) {
+      const { owner, name = 'attachShadow', descriptor } = apis[index];
+      if (!owners.has(owner)) continue;
+      Object.defineProperty(owner, name, descriptor);
+      apis.splice(index, 1);
+    }
+  }
+}
+
+/**
+ * Releases the roots that left the document: removed iframes and shadow hosts, documents
+ * an iframe navigated away from, and everything nested in them. Roots that come back
+ * (a moved host or iframe) are instrumented again when they're added.
+ */
+function pruneDetachedRoots() {
+  const detached = [...instrumentedRoots.keys()].filter(root => !isInstrumentedRootAttached(root));
+  detached.forEach(releaseInstrumentedRoot);
+}
+
+/**
+ * Wraps Element.prototype.attachShadow in a window so open shadow roots are
+ * instrumented as soon as they're created. Roots of hosts not yet in the document
+ * are instrumented when the host is inserted.
+ */
+function wrapAttachShadow(view) {
+  const owner = view.Element.prototype;
+  const descriptor = Object.getOwnPropertyDescriptor(owner, 'attachShadow');
+  if (!descriptor || typeof descriptor.value !== 'function') return;
+
+  const original = descriptor.value;
+  Object.defineProperty(owner, 'attachShadow', {
+    ...descriptor,
+    value: function(...args) {
+      const root = original.apply(this, args);
+      if (root.mode === 'open' && this.isConnected) instrumentShadowRoot(root);
+      return root;
+    }
+  });
+  originalAttachShadowApis.push({ owner, descriptor });
+}
+
+/**
+ * Releases every instrumented root and restores the wrapped attachShadow methods.
+ */
+function uninstrumentRoots() {
+  [...instrumentedRoots.keys()].forEach(releaseInstrumentedRoot);
+  originalAttachShadowApis.splice(0).reverse().forEach(({ owner, descriptor }) => {
+    Object.defineProperty(owner, 'attachShadow', descriptor);
+  });
+}
+
+/**
+ * Returns the logger for the `logger` install option: console-compatible methods that
+ * are missing become no-ops, and null or false silences diagnostics.
+ */
+function createLogger(hook) {
+  if (hook === undefined) return console;
+  if (hook === null || hook === false) return SILENT_LOGGER;
+  if (typeof hook !== 'object' && typeof hook !== 'function') {
+    throw new TypeError('[ScrollTimingPolyfill] logger must be an object with log()/warn() methods, or null');
+  }
+  return {
+    log: typeof hook.log === 'function' ? hook.log.bind(hook) : SILENT_LOGGER.log,
+    warn: typeof hook.warn === 'function' ? hook.warn.bind(hook) : SILENT_LOGGER.warn
+  };
+}
+
+/**
+ * Returns the scheduler for the `scheduler` install option: methods it doesn't provide
+ * fall back to the page's own clock, frames and timers.
+ */
+function createScheduler(hook) {
+  if (hook === undefined) return DEFAULT_SCHEDULER;
+  if (!hook || typeof hook !== 'object') {
+    throw new TypeError('[ScrollTimingPolyfill] scheduler must be an object');
+  }
+  const resolved = {};
+  for (const method of SCHEDULER_METHODS) {
+    if (hook[method] === undefined) {
+      resolved[method] = DEFAULT_SCHEDULER[method];
+    } else if (typeof hook[method] === 'function') {
+      resolved[method] = hook[method].bind(hook);
+    } else {
+      throw new TypeError(`[ScrollTimingPolyfill] scheduler.${method} must be a function`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Validates install() options that override CONFIG values.
+ * @returns {Object} CONFIG overrides keyed by CONFIG name
+ */
+function getConfigOverrides(options) {
+  const overrides = {};
+  for (const [name, { key, integer }] of Object.entries(CONFIG_OPTIONS)) {
+    if (options[name] === undefined) continue;
+    const value = options[name];
+    if (typeof value !== 'number' || !(value > 0) || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+      throw new RangeError(`[ScrollTimingPolyfill] ${name} must be a positive ${integer ? 'integer' : 'number'}, got ${value}`);
+    }
+    overrides[key] = value;
+  }
+  return overrides;
+}
+
+/**
+ * Installs the polyfill: starts refresh rate measurement, attaches input and scroll
+ * listeners (also inside same-origin iframes and open shadow roots), wraps scroll APIs, and
+ * patches the performance timeline and PerformanceObserver. Does nothing when the browser
+ * implements PerformanceScrollTiming natively, unless `force` is set. Options apply until
+ * uninstall(); to change them, uninstall and install again.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Install even over a native PerformanceScrollTiming (e.g. to A/B against it)
+ * @param {boolean} [options.worker=true] - Measure the baseline refresh rate in a blob: URL worker; when false the
+ *   baseline follows the main thread measurement
+ * @param {Object|null} [options.logger=console] - Receives diagnostics through log()/warn(); null silences them
+ * @param {Object} [options.scheduler] - Replaces now(), requestAnimationFrame(), setTimeout() and friends, e.g. with
+ *   the virtual clock from testing.js; missing methods use the page's own
+ * @param {number} [options.scrollEndTimeout=150] - Quiet period (ms) that ends a scroll without native 'scrollend'
+ * @param {number} [options.scrollEndFallbackTimeout=1000] - Safety-net end timeout (ms) where 'scrollend' is supported
+ * @param {number} [options.inputHintTimeout=250] - How long (ms) an input event can still be attributed to a scroll
+ * @param {number} [options.refreshRateSamples=60] - Frames sampled per refresh rate measurement
+ * @param {number} [options.minRefreshRateSamples=10] - Valid frame deltas needed for a measurement to count
+ * @param {number} [options.refreshRateRemeasureInterval=10000] - Interval (ms) between periodic re-measurements
+ * @returns {boolean} Whether the polyfill is installed
+ */
+function install(options = {}) {
+  if (polyfillInstalled) {
+    if (Object.keys(options).length) {
+      logger.warn('[ScrollTimingPolyfill] Already installed; call uninstall() first to change options');
+    }
+    return true;
+  }
+
+  const hasNative = 'PerformanceScrollTiming' in window && !(window.PerformanceScrollTiming && window.PerformanceScrollTiming.__isPolyfill);
+  if (hasNative && !options.force) return false;
+
+  // Validate everything before changing any state
+  const installLogger = createLogger(options.logger);
+  const installScheduler = createScheduler(options.scheduler);
+  const overrides = getConfigOverrides(options);
+
+  polyfillInstalled = true;
+  logger = installLogger;
+  scheduler = installScheduler;
+  Object.assign(CONFIG, overrides);
+  useRefreshRateWorker = options.worker !== false;
+  if (hasNative) {
+    nativePerformanceScrollTimingDescriptor = Object.getOwnPropertyDescriptor(window, 'PerformanceScrollTiming');
+  }
+
+  // Start dual refresh rate measurement (worker + main thread)
+  if (document.readyState === 'loading') {
+    addPolyfillListener(document, 'DOMContentLoaded', initializeRefreshRateMeasurement);
+  } else {
+    initializeRefreshRateMeasurement();
+  }
+
+  // Attach input and scroll listeners and scroll API hooks to the document, and to
+  // same-origin iframes and open shadow roots inside it as they appear
+  instrumentDocument(document);
+
+  // Tag entries with the route they started on, and cut scrolls off when the page is hidden
+  installNavigationTracking();
+  addPolyfillListener(document, 'visibilitychange', onPageVisibilityChange);
+
+  // Buffer scroll entries on the performance timeline
+  installPerformanceTimelineHooks();
+
+  // Patch PerformanceObserver to intercept scroll entry type observations
+  OriginalPerformanceObserver = window.PerformanceObserver;
+
+  // Collect long animation frames for jank attribution
+  startLongFrameCollection(OriginalPerformanceObserver);
+
+  window.PerformanceObserver = createPerformanceObserverPolyfill(OriginalPerformanceObserver || NoNativeEntriesPerformanceObserver);
+
+  // Expose polyfill class and mark for feature detection
+  window.PerformanceScrollTiming = PerformanceScrollTimingPolyfill;
+  window.PerformanceScrollTiming.__isPolyfill = true;
+  return true;
+}
+
+/**
+ * Removes the polyfill: restores the original PerformanceObserver, scroll APIs and
+ * performance methods, removes listeners, stops measurement, and discards active scrolls,
+ * registrations and buffered entries without emitting them. Useful for SPA teardown and tests.
+ */
+function uninstall() {
+  if (!polyfillInstalled) return;
+  polyfillInstalled = false;
+
+  activeScrolls.forEach(state => state.cancel());
+  activeScrolls.clear();
+  endPointerScrollSession();
+  cancelAllBoundaryAttempts();
+  scrollObservers.forEach(record => unregisterScrollObserver(record.observer));
+  releaseCheckerboardTrackers();
+  scrollTimelineBuffer.length = 0;
+  droppedScrollEntriesCount = 0;
+
+  removePolyfillListeners(polyfillListeners);
+  uninstrumentRoots();
+  uninstallNavigationTracking();
+  uninstallHandlerTiming();
+  uninstallProgrammaticScrollHooks();
+  uninstallPerformanceTimelineHooks();
+  stopRefreshRateMeasurement();
+  stopLongFrameCollection();
+
+  if (OriginalPerformanceObserver) {
+    window.PerformanceObserver = OriginalPerformanceObserver;
+  } else {
+    delete window.PerformanceObserver;
+  }
+  OriginalPerformanceObserver = null;
+
+  if (window.PerformanceScrollTiming === PerformanceScrollTimingPolyfill) {
+    delete window.PerformanceScrollTiming;
+  }
+  if (nativePerformanceScrollTimingDescriptor) {
+    Object.defineProperty(window, 'PerformanceScrollTiming', nativePerformanceScrollTimingDescriptor);
+    nativePerformanceScrollTimingDescriptor = null;
+  }
+
+  Object.assign(CONFIG, DEFAULT_CONFIG);
+  useRefreshRateWorker = true;
+  logger = console;
+  scheduler = DEFAULT_SCHEDULER;
+}
+
+// === ESM Exports (must be at top level) ===
+
+export { install, uninstall, PerformanceScrollTimingPolyfill };
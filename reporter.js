@@ -0,0 +1,293 @@
+// Reporting helper for Scroll Timing API entries (ESM)
+//
+// Batches `scroll` entries from a PerformanceObserver and sends them to an endpoint with
+// navigator.sendBeacon, falling back to fetch() with `keepalive`. Pending entries are
+// flushed when the page is hidden or unloaded, where hand-written reporters tend to lose them.
+// Works with native PerformanceScrollTiming entries and the polyfill (load it first).
+// Entries can also be passed to report() directly, so the reporter can be pointed at a
+// local HTTP stand-in from any environment with fetch().
+
+// === Configuration Constants ===
+const CONFIG = {
+  DEFAULT_MAX_BATCH_SIZE: 20,
+  DEFAULT_FLUSH_INTERVAL_MS: 10000,
+  // sendBeacon and keepalive fetches are both limited to 64KB in flight
+  MAX_PAYLOAD_BYTES: 60000,
+};
+
+// === Module: Report Format ===
+
+// Version of the compact payload. Each entry is an array of REPORT_FIELDS values in this
+// order; bump the version whenever the field list changes so collectors can decode both.
+const REPORT_FORMAT_VERSION = 1;
+
+const REPORT_FIELDS = Object.freeze([
+  'startTime', 'duration', 'scrollStartLatency', 'framesExpected', 'framesProduced',
+  'checkerboardTime', 'scrollSource', 'target', 'deltaX', 'deltaY',
+  'velocityBucket', 'interrupted', 'endDetection', 'frustrated'
+]);
+
+/**
+ * Rounds timings and distances to 0.1 so payloads stay small.
+ */
+function compactNumber(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Returns the default serialized target: the polyfill's identifier from toJSON(),
+ * or `#id` / the tag name for native entries.
+ */
+function getDefaultTargetIdentifier(entry) {
+  const json = typeof entry.toJSON === 'function' ? entry.toJSON() : entry;
+  if (typeof json.target === 'string' || json.target === null) return json.target;
+
+  const target = entry.target;
+  if (!target || target.nodeType !== 1) return null;
+  return target.id ? `#${target.id}` : target.localName;
+}
+
+/**
+ * Encodes an entry as an array of REPORT_FIELDS values. Fields the entry doesn't have
+ * (e.g. polyfill extensions on native entries) are null; booleans become 0/1.
+ * @param {PerformanceScrollTiming|Object} entry - Native entry, polyfill entry, or its toJSON() output
+ * @param {Function} [transformTarget] - (target, entry) => string|null, replacing the default identifier
+ * @returns {Array}
+ */
+function encodeScrollEntry(entry, transformTarget) {
+  return REPORT_FIELDS.map(field => {
+    if (field === 'target') {
+      return transformTarget ? transformTarget(entry.target ?? null, entry) ?? null : getDefaultTargetIdentifier(entry);
+    }
+    const value = entry[field];
+    if (typeof value === 'number') return compactNumber(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value ?? null;
+  });
+}
+
+/**
+ * Decodes a payload produced by the reporter back into one object per entry, for
+ * collectors and tests.
+ * @param {string|Object} payload - Request body or its parsed JSON
+ * @returns {{version: number, url: string|null, timeOrigin: number|null, entries: Object[]}}
+ */
+function decodeScrollReport(payload) {
+  const report = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  if (!report || report.v !== REPORT_FORMAT_VERSION || !Array.isArray(report.e)) {
+    throw new TypeError(`[ScrollTimingReporter] Unsupported report format version: ${report && report.v}`);
+  }
+  return {
+    version: report.v,
+    url: report.u ?? null,
+    timeOrigin: report.o ?? null,
+    entries: report.e.map(values => Object.fromEntries(REPORT_FIELDS.map((field, i) => [field, values[i]])))
+  };
+}
+
+// === Module: Transport ===
+
+/**
+ * Sends a payload with sendBeacon, falling back to a keepalive fetch when the beacon
+ * isn't available or the browser refuses to queue it.
+ * @returns {boolean} Whether the payload was handed to a transport
+ */
+function sendPayload(endpoint, body, transport, onError) {
+  if (typeof transport.sendBeacon === 'function') {
+    try {
+      if (transport.sendBeacon(endpoint, body)) return true;
+    } catch (error) {
+      // Fall through to fetch
+    }
+  }
+
+  if (typeof transport.fetch !== 'function') {
+    onError(new Error('[ScrollTimingReporter] Neither sendBeacon nor fetch is available'));
+    return false;
+  }
+
+  const fail = error => onError(new Error(`[ScrollTimingReporter] Failed to send report: ${error && error.message}`, { cause: error }));
+  try {
+    // text/plain keeps the request CORS-simple, like sendBeacon with a string body
+    transport.fetch(endpoint, {
+      method: 'POST',
+      body,
+      keepalive: true,
+      headers: { 'Content-Type': 'text/plain;charset=UTF-8' }
+    }).then(response => {
+      if (!response.ok) onError(new Error(`[ScrollTimingReporter] Endpoint responded with ${response.status}`));
+    }, fail);
+  } catch (error) {
+    // Runs in page hide handlers: a throwing transport must not escape and lose the batch silently
+    fail(error);
+    return false;
+  }
+  return true;
+}
+
+// === Module: Reporter ===
+
+/**
+ * Creates a reporter that collects scroll entries and sends them in batches.
+ * @param {Object} options
+ * @param {string} options.endpoint - URL the batches are POSTed to
+ * @param {number} [options.sampleRate=1] - Fraction of page views that report, in [0, 1]; decided once per reporter
+ * @param {number} [options.maxBatchSize=20] - Entries per request; a full batch is sent immediately
+ * @param {number} [options.flushInterval=10000] - Max time (ms) an entry waits before sending; 0 waits for a full batch or page hide
+ * @param {Function} [options.transformTarget] - (target: Element|null, entry) => string|null, to redact or rename targets
+ * @param {boolean} [options.observe=true] - Observe 'scroll' entries (buffered); false to only report() manually
+ * @param {Function} [options.sendBeacon] - Beacon transport; defaults to navigator.sendBeacon
+ * @param {Function} [options.fetch] - Fallback transport; defaults to the global fetch
+ * @param {Function} [options.random] - Random source for sampling; defaults to Math.random
+ * @param {Function} [options.onError] - Called with errors (transport failures, a throwing transformTarget,
+ *   missing 'scroll' support); defaults to console.warn
+ * @returns {{sampled: boolean, report: Function, flush: Function, disconnect: Function}}
+ */
+function createScrollReporter(options = {}) {
+  const {
+    endpoint,
+    sampleRate = 1,
+    maxBatchSize = CONFIG.DEFAULT_MAX_BATCH_SIZE,
+    flushInterval = CONFIG.DEFAULT_FLUSH_INTERVAL_MS,
+    transformTarget,
+    observe = true,
+    random = Math.random,
+  } = options;
+
+  if (typeof endpoint !== 'string' || !endpoint) {
+    throw new TypeError('[ScrollTimingReporter] endpoint must be a non-empty string');
+  }
+  if (typeof sampleRate !== 'number' || !(sampleRate >= 0 && sampleRate <= 1)) {
+    throw new RangeError(`[ScrollTimingReporter] sampleRate must be between 0 and 1, got ${sampleRate}`);
+  }
+  if (!Number.isInteger(maxBatchSize) || maxBatchSize < 1) {
+    throw new RangeError(`[ScrollTimingReporter] maxBatchSize must be a positive integer, got ${maxBatchSize}`);
+  }
+  if (transformTarget !== undefined && typeof transformTarget !== 'function') {
+    throw new TypeError('[ScrollTimingReporter] transformTarget must be a function');
+  }
+
+  const transport = {
+    sendBeacon: options.sendBeacon
+      || (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function' ? navigator.sendBeacon.bind(navigator) : null),
+    // Bound like sendBeacon: browsers throw "Illegal invocation" for fetch called on another object
+    fetch: options.fetch || (typeof fetch === 'function' ? fetch.bind(globalThis) : null)
+  };
+  const onError = options.onError || (error => console.warn(error.message, error.cause ?? ''));
+
+  const sampled = random() < sampleRate;
+  const queue = [];
+  const listeners = [];
+  let flushTimer = null;
+  let observer = null;
+  let connected = true;
+
+  const pageUrl = typeof location !== 'undefined' ? location.origin + location.pathname : null;
+  const timeOrigin = typeof performance !== 'undefined' && performance.timeOrigin ? Math.round(performance.timeOrigin) : null;
+
+  /**
+   * Encodes entries into payloads of at most MAX_PAYLOAD_BYTES each.
+   */
+  function buildPayloads(encodedEntries) {
+    const payloads = [];
+    let batch = [];
+    const serialize = entries => JSON.stringify({ v: REPORT_FORMAT_VERSION, u: pageUrl, o: timeOrigin, e: entries });
+
+    for (const encoded of encodedEntries) {
+      batch.push(encoded);
+      if (batch.length > 1 && serialize(batch).length > CONFIG.MAX_PAYLOAD_BYTES) {
+        batch.pop();
+        payloads.push(serialize(batch));
+        batch = [encoded];
+      }
+    }
+    if (batch.length) payloads.push(serialize(batch));
+    return payloads;
+  }
+
+  /**
+   * Sends all queued entries now, including those the observer hasn't delivered yet: at page
+   * hide, entries emitted in the same task (e.g. scrolls cut short by the page being hidden)
+   * would otherwise wait for a callback that may never run.
+   */
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (observer) queue.push(...observer.takeRecords());
+    if (!queue.length) return;
+
+    const encoded = queue.splice(0).map(entry => {
+      try {
+        return encodeScrollEntry(entry, transformTarget);
+      } catch (error) {
+        // A throwing redaction hook must never leak the unredacted target
+        onError(new Error(`[ScrollTimingReporter] transformTarget threw, dropping target: ${error && error.message}`, { cause: error }));
+        return encodeScrollEntry(entry, () => null);
+      }
+    });
+    buildPayloads(encoded).forEach(body => sendPayload(endpoint, body, transport, onError));
+  }
+
+  /**
+   * Queues an entry, sending the batch once it's full.
+   */
+  function report(entry) {
+    if (!sampled || !connected || !entry) return;
+    queue.push(entry);
+    if (queue.length >= maxBatchSize) {
+      flush();
+    } else if (!flushTimer && flushInterval > 0) {
+      flushTimer = setTimeout(flush, flushInterval);
+    }
+  }
+
+  /**
+   * Sends pending entries and stops reporting.
+   */
+  function disconnect() {
+    if (!connected) return;
+    flush();
+    connected = false;
+    if (observer) observer.disconnect();
+    listeners.splice(0).forEach(({ target, type, listener }) => target.removeEventListener(type, listener));
+  }
+
+  if (sampled) {
+    if (typeof document !== 'undefined') {
+      // visibilitychange to hidden is the last event reliably delivered on mobile;
+      // pagehide covers browsers that skip it when unloading
+      const onVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') flush();
+      };
+      document.addEventListener('visibilitychange', onVisibilityChange);
+      listeners.push({ target: document, type: 'visibilitychange', listener: onVisibilityChange });
+    }
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', flush);
+      listeners.push({ target: window, type: 'pagehide', listener: flush });
+    }
+
+    if (observe) {
+      const supported = typeof PerformanceObserver === 'function'
+        && (PerformanceObserver.supportedEntryTypes || []).includes('scroll');
+      if (supported) {
+        observer = new PerformanceObserver(list => list.getEntries().forEach(report));
+        observer.observe({ type: 'scroll', buffered: true });
+      } else {
+        onError(new Error("[ScrollTimingReporter] 'scroll' entries aren't supported; load the polyfill first or call report() manually"));
+      }
+    }
+  }
+
+  return { sampled, report, flush, disconnect };
+}
+
+// === ESM Exports ===
+
+export {
+  createScrollReporter,
+  encodeScrollEntry,
+  decodeScrollReport,
+  REPORT_FORMAT_VERSION,
+  REPORT_FIELDS,
+};
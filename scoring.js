@@ -0,0 +1,181 @@
+// Smoothness scoring helpers for Scroll Timing API entries (ESM)
+//
+// Implements the calculation options from OPEN_QUESTIONS.md "Smoothness Scoring Options".
+// Works with native PerformanceScrollTiming entries, polyfill entries, and their toJSON() output.
+// Every scorer returns a score in [0, 1] where 1 is perfectly smooth, or null when the
+// entry lacks the data the method needs (e.g. per-frame timing on native entries).
+
+// === Configuration Constants ===
+const CONFIG = {
+  // Reference refresh rate when neither the caller nor the entry provides one (native entries)
+  DEFAULT_REFRESH_RATE: 60,
+};
+
+// === Module: Frame Data ===
+
+/**
+ * Returns the target frame duration (ms) for scoring an entry. Prefers the caller's
+ * refresh rate, then the rate the polyfill measured the entry against (`entry.refreshRate`).
+ * @param {Object} entry
+ * @param {Object} [options]
+ * @param {number} [options.refreshRate] - Refresh rate (Hz) to score against
+ */
+function getTargetFrameDuration(entry, options) {
+  let refreshRate = CONFIG.DEFAULT_REFRESH_RATE;
+  if (options && options.refreshRate > 0) {
+    refreshRate = options.refreshRate;
+  } else if (entry.refreshRate > 0) {
+    refreshRate = entry.refreshRate;
+  }
+  return 1000 / refreshRate;
+}
+
+/**
+ * Extracts per-frame durations (ms) from an entry.
+ * Polyfill entries carry them in `frameTiming.frames` when observed with
+ * `{ frameTiming: true, includeFrames: true }`; native entries don't expose them.
+ * @returns {number[]|null} Frame durations, or null when per-frame data is unavailable
+ */
+function getFrameDurations(entry) {
+  const frames = entry && entry.frameTiming && entry.frameTiming.frames;
+  if (!Array.isArray(frames)) return null;
+
+  const durations = [];
+  for (let i = 1; i < frames.length; i++) {
+    const duration = frames[i].presentationTime - frames[i - 1].presentationTime;
+    if (duration > 0) durations.push(duration);
+  }
+  return durations;
+}
+
+// === Module: Built-in Scorers ===
+
+/**
+ * Option 1: Simple ratio (frame throughput), framesProduced / framesExpected.
+ * Per DESIGN_NOTES "Edge Cases", framesExpected = 0 is treated as 100% smooth.
+ */
+function scoreSimpleRatio(entry) {
+  const expected = entry.framesExpected || 0;
+  const produced = entry.framesProduced || 0;
+  if (expected <= 0) return 1;
+  return Math.min(1, produced / expected);
+}
+
+/**
+ * Option 2: Harmonic mean of instantaneous frame rates, relative to the target rate.
+ * Slow frames weigh more heavily than in an arithmetic mean.
+ */
+function scoreHarmonicMean(entry, options) {
+  if ((entry.framesExpected || 0) <= 0) return 1;
+
+  const durations = getFrameDurations(entry);
+  if (!durations) return null;
+  if (!durations.length) return 1;
+
+  // n / Σ(1/fps_i), where 1/fps_i = duration_i / 1000
+  const reciprocalSum = durations.reduce((sum, duration) => sum + duration / 1000, 0);
+  const harmonicMeanFps = durations.length / reciprocalSum;
+  const targetFps = 1000 / getTargetFrameDuration(entry, options);
+  return Math.min(1, harmonicMeanFps / targetFps);
+}
+
+/**
+ * Option 3: RMS of frame times, as targetFrameTime / rms.
+ * Long frames are penalized quadratically.
+ */
+function scoreRms(entry, options) {
+  if ((entry.framesExpected || 0) <= 0) return 1;
+
+  const durations = getFrameDurations(entry);
+  if (!durations) return null;
+  if (!durations.length) return 1;
+
+  const rms = Math.sqrt(durations.reduce((sum, duration) => sum + duration * duration, 0) / durations.length);
+  return Math.min(1, getTargetFrameDuration(entry, options) / rms);
+}
+
+// === Module: Scorer Registry ===
+
+const scorers = new Map([
+  ['ratio', scoreSimpleRatio],
+  ['harmonic-mean', scoreHarmonicMean],
+  ['rms', scoreRms],
+]);
+
+/**
+ * Registers a custom scorer. It receives (entry, options) and should return a score
+ * in [0, 1], or null when it can't score the entry.
+ * @param {string} name - Method name passed to scoreSmoothness()
+ * @param {Function} scorer - Scoring function
+ */
+function registerSmoothnessScorer(name, scorer) {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('[ScrollTimingScoring] Scorer name must be a non-empty string');
+  }
+  if (typeof scorer !== 'function') {
+    throw new TypeError(`[ScrollTimingScoring] Scorer '${name}' must be a function`);
+  }
+  scorers.set(name, scorer);
+}
+
+/**
+ * Removes a previously registered scorer.
+ * @returns {boolean} Whether a scorer was removed
+ */
+function unregisterSmoothnessScorer(name) {
+  return scorers.delete(name);
+}
+
+/**
+ * Returns the names of all registered scorers, built-in ones first.
+ * @returns {string[]}
+ */
+function getSmoothnessScorers() {
+  return Array.from(scorers.keys());
+}
+
+/**
+ * Scores a scroll entry's smoothness with the given method.
+ * @param {PerformanceScrollTiming|Object} entry - Native entry, polyfill entry, or its toJSON() output
+ * @param {string} [method='ratio'] - 'ratio', 'harmonic-mean', 'rms', or a registered custom name
+ * @param {Object} [options]
+ * @param {number} [options.refreshRate] - Refresh rate (Hz) the frame-time based methods compare against;
+ *   defaults to the entry's `refreshRate` (polyfill) or 60
+ * @returns {number|null} Score in [0, 1], or null if the method can't score this entry
+ */
+function scoreSmoothness(entry, method = 'ratio', options = {}) {
+  const scorer = scorers.get(method);
+  if (!scorer) {
+    throw new RangeError(`[ScrollTimingScoring] Unknown smoothness scorer: ${method}`);
+  }
+  if (!entry) return null;
+
+  const score = scorer(entry, options);
+  return typeof score === 'number' && Number.isFinite(score) ? score : null;
+}
+
+/**
+ * Scores an entry with every registered method.
+ * @returns {Object<string, number|null>} Scores keyed by method name
+ */
+function scoreSmoothnessAll(entry, options = {}) {
+  const scores = {};
+  for (const method of scorers.keys()) {
+    scores[method] = scoreSmoothness(entry, method, options);
+  }
+  return scores;
+}
+
+// === ESM Exports ===
+
+export {
+  scoreSmoothness,
+  scoreSmoothnessAll,
+  scoreSimpleRatio,
+  scoreHarmonicMean,
+  scoreRms,
+  registerSmoothnessScorer,
+  unregisterSmoothnessScorer,
+  getSmoothnessScorers,
+  getFrameDurations,
+};
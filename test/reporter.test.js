@@ -0,0 +1,155 @@
+// Reporter round trip against a local HTTP stand-in (Node ESM, node:test)
+//
+//   node --experimental-detect-module --test test/
+//
+// (--experimental-detect-module lets Node 20 load these .js modules as ESM; Node 22.7+ doesn't need it.)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import { createScrollReporter, decodeScrollReport, REPORT_FIELDS } from '../reporter.js';
+
+/**
+ * Starts a collector on a free port that records each request's body and content type.
+ */
+async function startCollector() {
+  const requests = [];
+  let onRequest = () => {};
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      requests.push({ method: request.method, contentType: request.headers['content-type'], body });
+      response.end('ok');
+      onRequest();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}/collect`,
+    requests,
+    // Resolves once `count` requests have arrived
+    received: count => new Promise(resolve => {
+      onRequest = () => { if (requests.length >= count) resolve(); };
+      onRequest();
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const createEntry = (index, overrides = {}) => ({
+  startTime: 1000.04 + index,
+  duration: 250.06,
+  scrollStartLatency: 12.34,
+  framesExpected: 15,
+  framesProduced: 14,
+  checkerboardTime: 0,
+  scrollSource: 'wheel',
+  target: { nodeType: 1, id: 'feed', localName: 'div' },
+  deltaX: 0,
+  deltaY: 300,
+  velocityBucket: 'medium',
+  interrupted: false,
+  endDetection: 'scrollend',
+  frustrated: false,
+  ...overrides
+});
+
+test('batches reach the collector through the default fetch and decode back', async () => {
+  const collector = await startCollector();
+  const errors = [];
+  try {
+    // A beacon that refuses the payload exercises the fetch fallback with the global fetch
+    const reporter = createScrollReporter({
+      endpoint: collector.endpoint,
+      observe: false,
+      maxBatchSize: 2,
+      flushInterval: 0,
+      sendBeacon: () => false,
+      onError: error => errors.push(error)
+    });
+    reporter.report(createEntry(0));
+    reporter.report(createEntry(1, { scrollSource: 'touch', target: null, interrupted: true }));
+    reporter.report(createEntry(2));
+    reporter.flush();
+    await collector.received(2);
+
+    assert.deepEqual(errors, []);
+    assert.equal(collector.requests[0].method, 'POST');
+    assert.equal(collector.requests[0].contentType, 'text/plain;charset=UTF-8');
+
+    const [first, second] = collector.requests.map(request => decodeScrollReport(request.body));
+    assert.equal(first.version, 1);
+    assert.equal(first.entries.length, 2);
+    assert.equal(second.entries.length, 1);
+    assert.deepEqual(first.entries[0], {
+      startTime: 1000, duration: 250.1, scrollStartLatency: 12.3, framesExpected: 15, framesProduced: 14,
+      checkerboardTime: 0, scrollSource: 'wheel', target: '#feed', deltaX: 0, deltaY: 300,
+      velocityBucket: 'medium', interrupted: 0, endDetection: 'scrollend', frustrated: 0
+    });
+    assert.equal(first.entries[1].target, null);
+    assert.equal(first.entries[1].interrupted, 1);
+    assert.deepEqual(Object.keys(second.entries[0]), [...REPORT_FIELDS]);
+  } finally {
+    await collector.close();
+  }
+});
+
+test('transformTarget redacts targets, and a throwing hook drops them and reports the error', async () => {
+  const collector = await startCollector();
+  const errors = [];
+  try {
+    const reporter = createScrollReporter({
+      endpoint: collector.endpoint,
+      observe: false,
+      flushInterval: 0,
+      sendBeacon: () => false,
+      transformTarget: target => {
+        if (target && target.id === 'secret') throw new Error('boom');
+        return target ? 'redacted' : null;
+      },
+      onError: error => errors.push(error)
+    });
+    reporter.report(createEntry(0));
+    reporter.report(createEntry(1, { target: { nodeType: 1, id: 'secret', localName: 'div' } }));
+    reporter.flush();
+    await collector.received(1);
+
+    const { entries } = decodeScrollReport(collector.requests[0].body);
+    assert.deepEqual(entries.map(entry => entry.target), ['redacted', null]);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /transformTarget threw/);
+  } finally {
+    await collector.close();
+  }
+});
+
+test('transport failures go to onError instead of escaping flush()', () => {
+  const errors = [];
+  const reporter = createScrollReporter({
+    endpoint: 'http://127.0.0.1:9/collect',
+    observe: false,
+    sendBeacon: () => false,
+    fetch: () => { throw new TypeError('Illegal invocation'); },
+    onError: error => errors.push(error)
+  });
+  reporter.report(createEntry(0));
+  assert.doesNotThrow(() => reporter.flush());
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /Failed to send report: Illegal invocation/);
+});
+
+test('an unsampled page view sends nothing', async () => {
+  const collector = await startCollector();
+  try {
+    const reporter = createScrollReporter({ endpoint: collector.endpoint, observe: false, sampleRate: 0.5, random: () => 0.9 });
+    assert.equal(reporter.sampled, false);
+    reporter.report(createEntry(0));
+    reporter.flush();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(collector.requests.length, 0);
+  } finally {
+    await collector.close();
+  }
+});
@@ -0,0 +1,92 @@
+// Scripted gestures through testing.js under jsdom (Node ESM, node:test)
+//
+//   npm install --no-save jsdom
+//   node --experimental-detect-module --test test/
+//
+// (--experimental-detect-module lets Node 20 load these .js modules as ESM; Node 22.7+ doesn't need it.)
+// Without jsdom installed these tests are skipped.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+let JSDOM = null;
+try {
+  ({ JSDOM } = await import('jsdom'));
+} catch (error) {
+  if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+}
+const skip = JSDOM ? false : 'jsdom is not installed';
+
+let harness = null;
+let feed = null;
+let strip = null;
+
+before(async () => {
+  if (skip) return;
+  const dom = new JSDOM(`<!doctype html><html><body>
+    <div id="feed" style="overflow: auto; height: 400px"><div style="height: 5000px"></div></div>
+    <div id="strip" style="height: 400px"><div style="width: 2000px"></div></div>
+  </body></html>`, { pretendToBeVisual: true, url: 'https://example.test/' });
+  // polyfill-core.js reads these globals when it loads
+  globalThis.window = dom.window;
+  globalThis.document = dom.window.document;
+
+  const { installForTesting, defineScrollGeometry } = await import('../testing.js');
+  feed = document.getElementById('feed');
+  strip = document.getElementById('strip');
+  // `feed` only sets the overflow shorthand, which jsdom doesn't expand to overflow-y
+  defineScrollGeometry(feed, { scrollHeight: 5000, clientHeight: 400 });
+  defineScrollGeometry(strip, { scrollWidth: 2000, clientWidth: 400, scrollHeight: 400, clientHeight: 400, overflow: 'auto hidden' });
+  harness = installForTesting({ logger: null });
+});
+
+after(() => {
+  if (harness) harness.uninstall();
+});
+
+test('wheel ticks report their total delta as a wheel scroll', { skip }, () => {
+  harness.simulator.wheel(feed, { ticks: 3 });
+  const [entry, ...rest] = harness.takeEntries();
+
+  assert.equal(rest.length, 0);
+  assert.equal(entry.target, feed);
+  assert.equal(entry.scrollSource, 'wheel');
+  assert.equal(entry.deltaX, 0);
+  assert.equal(entry.deltaY, 300);
+  assert.equal(entry.endDetection, 'scrollend');
+  assert.equal(entry.framesProduced, entry.framesExpected);
+});
+
+test('PageDown scrolls 87.5% of the scrollport as a keyboard scroll', { skip }, () => {
+  const startTop = feed.scrollTop;
+  harness.simulator.key(feed, { key: 'PageDown' });
+  const [entry] = harness.takeEntries();
+
+  assert.equal(entry.scrollSource, 'keyboard');
+  assert.equal(entry.deltaY, 350);
+  assert.equal(feed.scrollTop, startTop + 350);
+});
+
+test('horizontal wheel scrolls on an overflow option scroller', { skip }, () => {
+  assert.equal(strip.style.overflowX, 'auto');
+  assert.equal(strip.style.overflowY, 'hidden');
+  harness.simulator.wheel(strip, { deltaX: 100, deltaY: 0, ticks: 2 });
+  const [entry] = harness.takeEntries();
+
+  assert.equal(entry.target, strip);
+  assert.equal(entry.scrollSource, 'wheel');
+  assert.equal(entry.deltaX, 200);
+  assert.equal(entry.deltaY, 0);
+});
+
+test('dropped frames lower framesProduced', { skip }, () => {
+  harness.simulator.wheel(feed, { ticks: 3 });
+  const [smooth] = harness.takeEntries();
+
+  harness.simulator.wheel(feed, { ticks: 3, droppedFrames: [2, 4, 6] });
+  const [janky] = harness.takeEntries();
+
+  assert.equal(janky.deltaY, 300);
+  assert.equal(janky.framesExpected, smooth.framesExpected);
+  assert.equal(janky.framesProduced, smooth.framesProduced - 3);
+});
@@ -0,0 +1,720 @@
+// Testing entry point for the Scroll Timing polyfill (ESM)
+//
+// Runs the polyfill on a virtual clock and replays scripted gestures, so code consuming
+// scroll entries can assert exact framesExpected/framesProduced/deltaY/scrollSource values
+// without a browser. Under jsdom in Node, point the `window` and `document` globals at the
+// jsdom window before importing this module (polyfill-core.js reads them on load), and give
+// scrollers an overflow style and a geometry with defineScrollGeometry, since jsdom has no
+// layout. The polyfill reads overflow-x/overflow-y, which jsdom doesn't derive from the
+// `overflow` shorthand; defineScrollGeometry fills them in (or pass its `overflow` option).
+// Without them a scroller isn't recognized and its scrolls report scrollSource 'other'.
+//
+//   const { simulator, takeEntries } = installForTesting({ refreshRate: 60 });
+//   simulator.wheel(feed, { ticks: 3, droppedFrames: [4] });
+//   const [entry] = takeEntries();
+
+import { install, uninstall } from './polyfill-core.js';
+
+// === Configuration Constants ===
+const CONFIG = {
+  DEFAULT_REFRESH_RATE: 60,
+  // Frames the polyfill samples per refresh rate measurement (REFRESH_RATE_SAMPLES in polyfill-core.js)
+  DEFAULT_REFRESH_RATE_SAMPLES: 60,
+  // Safety cap on frames played for one gesture, so a runaway script can't hang a test
+  MAX_GESTURE_FRAMES: 10000,
+
+  // Wheel: one notch of a mouse wheel, and the spacing between notches
+  WHEEL_TICK_DELTA: 100,
+  WHEEL_TICK_INTERVAL_MS: 50,
+  // Animation length of a wheel tick, a key press or scroll-behavior: smooth
+  SMOOTH_SCROLL_DURATION_MS: 150,
+
+  // Keyboard: arrow keys scroll a line, PageUp/PageDown/Space 87.5% of the scrollport (like Chromium)
+  LINE_SCROLL_DELTA: 40,
+  PAGE_SCROLL_RATIO: 0.875,
+
+  // Touch fling: finger velocity while dragging, and the momentum's per-frame decay
+  FLING_VELOCITY_PX_PER_MS: 2,
+  FLING_DRAG_FRAMES: 5,
+  FLING_FRICTION: 0.95,
+  FLING_MIN_VELOCITY_PX_PER_MS: 0.05,
+};
+
+// Direction each simulated key scrolls in, as [x, y] signs, and how far
+const KEY_SCROLLS = {
+  ArrowUp: { direction: [0, -1], amount: 'line' },
+  ArrowDown: { direction: [0, 1], amount: 'line' },
+  ArrowLeft: { direction: [-1, 0], amount: 'line' },
+  ArrowRight: { direction: [1, 0], amount: 'line' },
+  PageUp: { direction: [0, -1], amount: 'page' },
+  PageDown: { direction: [0, 1], amount: 'page' },
+  ' ': { direction: [0, 1], amount: 'page' },
+  Home: { direction: [0, -1], amount: 'edge' },
+  End: { direction: [0, 1], amount: 'edge' },
+};
+
+const SCROLL_METHODS = ['scroll', 'scrollTo', 'scrollBy'];
+
+// === Module: Virtual Clock ===
+
+/**
+ * Creates a virtual clock that stands in for performance.now(), requestAnimationFrame and
+ * timers. Nothing happens until the test advances it; vsyncs fall every 1000 / refreshRate ms,
+ * and a dropped frame skips its rAF callbacks (they run on the next produced frame).
+ * Pass it to install({ scheduler }).
+ * @param {Object} [options]
+ * @param {number} [options.refreshRate=60] - Display refresh rate (Hz)
+ * @param {number} [options.startTime=0] - Initial now()
+ * @returns {Object} Scheduler methods plus advance(), advanceFrames(), dropFrames() and onFrame()
+ */
+function createVirtualClock(options = {}) {
+  const { refreshRate = CONFIG.DEFAULT_REFRESH_RATE, startTime = 0 } = options;
+  if (typeof refreshRate !== 'number' || !(refreshRate > 0) || !Number.isFinite(refreshRate)) {
+    throw new RangeError(`[ScrollTimingTesting] refreshRate must be a positive number, got ${refreshRate}`);
+  }
+
+  const frameInterval = 1000 / refreshRate;
+  const timers = new Map();
+  const frameCallbacks = new Map();
+  const frameHooks = new Set();
+  const droppedFrames = new Set();
+  let time = startTime;
+  let frame = 0;
+  let nextId = 1;
+  let timerSequence = 0;
+
+  /**
+   * Time of the vsync with the given index (vsync 0 is at startTime).
+   */
+  function frameTime(index) {
+    return startTime + index * frameInterval;
+  }
+
+  function addTimer(callback, delay, repeat) {
+    const id = nextId++;
+    const interval = Math.max(0, Number(delay) || 0);
+    // A zero-delay interval would never let the clock move on
+    timers.set(id, { time: time + interval, sequence: timerSequence++, callback, interval: repeat ? Math.max(1, interval) : null });
+    return id;
+  }
+
+  /**
+   * Returns the id of the earliest due timer, in scheduling order on ties.
+   */
+  function nextTimerId() {
+    let earliestId = null;
+    let earliest = null;
+    for (const [id, timer] of timers) {
+      if (!earliest || timer.time < earliest.time || (timer.time === earliest.time && timer.sequence < earliest.sequence)) {
+        earliestId = id;
+        earliest = timer;
+      }
+    }
+    return earliestId;
+  }
+
+  function runTimer(id) {
+    const timer = timers.get(id);
+    time = timer.time;
+    if (timer.interval === null) {
+      timers.delete(id);
+    } else {
+      timer.time += timer.interval;
+      timer.sequence = timerSequence++;
+    }
+    timer.callback();
+  }
+
+  /**
+   * Runs the next vsync: frame hooks first (where the simulator dispatches input and scroll
+   * events), then the rAF callbacks, unless the frame is dropped.
+   */
+  function runFrame() {
+    frame++;
+    time = frameTime(frame);
+    const dropped = droppedFrames.delete(frame);
+    for (const hook of Array.from(frameHooks)) hook(frame, dropped);
+    if (dropped) return;
+
+    const callbacks = Array.from(frameCallbacks.values());
+    frameCallbacks.clear();
+    callbacks.forEach(callback => callback(time));
+  }
+
+  /**
+   * Runs timers and vsyncs in time order up to `target`. Timers due at a vsync run first.
+   */
+  function advanceTo(target) {
+    for (;;) {
+      const timerId = nextTimerId();
+      const timerTime = timerId === null ? Infinity : timers.get(timerId).time;
+      const vsyncTime = frameTime(frame + 1);
+      if (timerTime <= vsyncTime && timerTime <= target) {
+        runTimer(timerId);
+      } else if (vsyncTime <= target) {
+        runFrame();
+      } else {
+        break;
+      }
+    }
+    time = Math.max(time, target);
+  }
+
+  return {
+    refreshRate,
+    frameInterval,
+    /** Number of vsyncs so far */
+    get frame() {
+      return frame;
+    },
+    frameTime,
+    now: () => time,
+    requestAnimationFrame(callback) {
+      const id = nextId++;
+      frameCallbacks.set(id, callback);
+      return id;
+    },
+    cancelAnimationFrame(id) {
+      frameCallbacks.delete(id);
+    },
+    setTimeout: (callback, delay) => addTimer(callback, delay, false),
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    setInterval: (callback, delay) => addTimer(callback, delay, true),
+    clearInterval(id) {
+      timers.delete(id);
+    },
+    /**
+     * Moves time forward by `ms`, running due timers and frames on the way.
+     */
+    advance(ms = 0) {
+      advanceTo(time + ms);
+    },
+    /**
+     * Moves time forward to the `count`th next vsync.
+     */
+    advanceFrames(count = 1) {
+      advanceTo(frameTime(frame + count));
+    },
+    /**
+     * Drops the vsyncs with the given (absolute) indices: their rAF callbacks wait for the next frame.
+     */
+    dropFrames(...indices) {
+      indices.flat().forEach(index => droppedFrames.add(index));
+    },
+    /**
+     * Registers a hook called at every vsync with (frame, dropped), before rAF callbacks.
+     * @returns {Function} Removes the hook
+     */
+    onFrame(hook) {
+      frameHooks.add(hook);
+      return () => frameHooks.delete(hook);
+    }
+  };
+}
+
+// === Module: Synthetic Input ===
+
+/**
+ * Defines a layout-less element's scroll geometry (jsdom reports 0 for all of it), so the
+ * polyfill sees it as scrollable and the simulator clamps offsets to the scroll range.
+ * Also sets the overflow-x/overflow-y longhands the polyfill checks: from the `overflow`
+ * option, or else from an `overflow` shorthand in the element's styles, which jsdom's
+ * getComputedStyle doesn't expand.
+ * @param {Element} element
+ * @param {{scrollWidth?: number, scrollHeight?: number, clientWidth?: number, clientHeight?: number, overflow?: string}} geometry
+ *   `overflow` is a value of the CSS shorthand, e.g. 'auto' or 'hidden auto' (x, then y)
+ */
+function defineScrollGeometry(element, geometry) {
+  for (const name of ['scrollWidth', 'scrollHeight', 'clientWidth', 'clientHeight']) {
+    if (geometry[name] === undefined) continue;
+    const value = geometry[name];
+    Object.defineProperty(element, name, { get: () => value, configurable: true });
+  }
+
+  const style = element.ownerDocument.defaultView.getComputedStyle(element);
+  const overflow = geometry.overflow ?? (!style.overflowX && !style.overflowY ? style.overflow : '');
+  if (overflow) {
+    const [x, y = x] = overflow.trim().split(/\s+/);
+    element.style.overflowX = x;
+    element.style.overflowY = y;
+  }
+}
+
+/**
+ * Creates a touch event at a point. jsdom has TouchEvent but no Touch constructor, so the
+ * touch lists are defined on a plain event there.
+ */
+function createTouchEvent(view, type, target, point) {
+  const active = type === 'touchend' || type === 'touchcancel' ? [] : [point];
+  const init = { bubbles: true, cancelable: type !== 'touchcancel', composed: true };
+
+  if (typeof view.Touch === 'function' && typeof view.TouchEvent === 'function') {
+    const touch = new view.Touch({ identifier: 0, target, clientX: point.clientX, clientY: point.clientY });
+    const touches = active.length ? [touch] : [];
+    return new view.TouchEvent(type, { ...init, touches, targetTouches: touches, changedTouches: [touch] });
+  }
+
+  const event = new view.Event(type, init);
+  const touch = { identifier: 0, target, clientX: point.clientX, clientY: point.clientY };
+  Object.defineProperties(event, {
+    touches: { value: active.map(() => touch) },
+    targetTouches: { value: active.map(() => touch) },
+    changedTouches: { value: [touch] }
+  });
+  return event;
+}
+
+/**
+ * Converts scroll()/scrollTo()/scrollBy() arguments (x, y or an options dictionary) to
+ * {left, top, behavior}; missing coordinates are undefined.
+ */
+function parseScrollArguments(args) {
+  if (args.length && typeof args[0] === 'object' && args[0] !== null) {
+    const { left, top, behavior } = args[0];
+    return { left, top, behavior };
+  }
+  return { left: args[0], top: args[1], behavior: undefined };
+}
+
+// === Module: Scroll Simulator ===
+
+/**
+ * Creates a simulator that stands in for the browser's scrolling. It replays gestures
+ * (wheel ticks, touch flings, key presses, scrollTo()) frame by frame on the virtual clock:
+ * input events are dispatched at the vsync they belong to, offsets are written and 'scroll'
+ * dispatched before rAF callbacks, and 'scrollend' follows the last moving frame. Work for a
+ * dropped frame carries over to the next produced one.
+ *
+ * It also replaces scroll(), scrollTo() and scrollBy() on elements and the window with
+ * simulated versions (restored by destroy()). Create it before installing the polyfill, so
+ * the polyfill wraps them like native ones and user gestures bypass its scrollTop/scrollLeft hooks.
+ * @param {Object} clock - Virtual clock from createVirtualClock()
+ * @param {Object} [options]
+ * @param {Window} [options.window=window] - Window whose scrolling is simulated
+ * @param {boolean} [options.scrollEnd=true] - Dispatch 'scrollend' after each gesture (gestures can override it)
+ * @returns {Object} wheel(), fling(), key(), scrollTo() and destroy()
+ */
+function createScrollSimulator(clock, options = {}) {
+  const view = options.window || window;
+  const doc = view.document;
+  const defaultScrollEnd = options.scrollEnd !== false;
+
+  if (view.PerformanceScrollTiming && view.PerformanceScrollTiming.__isPolyfill) {
+    throw new Error('[ScrollTimingTesting] Create the simulator before installing the polyfill');
+  }
+
+  // The unwrapped offset setters, for writing user scroll offsets without looking programmatic
+  const offsetDescriptors = {
+    scrollTop: Object.getOwnPropertyDescriptor(view.Element.prototype, 'scrollTop'),
+    scrollLeft: Object.getOwnPropertyDescriptor(view.Element.prototype, 'scrollLeft')
+  };
+  // Queued per-frame work: { frame, target, deltaX, deltaY, input, end }
+  const steps = [];
+  // Unrounded offsets, so fractional per-frame deltas add up exactly
+  const positions = new Map();
+  const replacedMethods = [];
+  // Whether the scroll started by the current gesture's scrollTo() dispatches 'scrollend'
+  let scrollEndForCall = defaultScrollEnd;
+
+  function getRootScroller() {
+    return doc.scrollingElement || doc.documentElement;
+  }
+
+  function getPosition(target) {
+    if (!positions.has(target)) {
+      positions.set(target, { left: target.scrollLeft || 0, top: target.scrollTop || 0 });
+    }
+    return positions.get(target);
+  }
+
+  /**
+   * Where a scroller ends up once its queued steps have run.
+   */
+  function getProjectedPosition(target) {
+    const { left, top } = getPosition(target);
+    return steps.reduce((position, step) => step.target === target
+      ? { left: position.left + step.deltaX, top: position.top + step.deltaY }
+      : position, { left, top });
+  }
+
+  /**
+   * Clamps an offset to the scroll range; without layout there's no upper bound.
+   */
+  function clampOffset(value, scrollSize, clientSize) {
+    const max = scrollSize > 0 ? Math.max(0, scrollSize - clientSize) : Infinity;
+    return Math.min(Math.max(0, value), max);
+  }
+
+  function writeOffset(target, name, value) {
+    const descriptor = offsetDescriptors[name];
+    if (descriptor && descriptor.set) descriptor.set.call(target, value);
+  }
+
+  /**
+   * Dispatches 'scroll' or 'scrollend' the way browsers do: at the document for the root
+   * scroller (bubbling to the window), at the element otherwise.
+   */
+  function dispatchScrollEvent(target, type) {
+    const isRoot = target === getRootScroller();
+    (isRoot ? doc : target).dispatchEvent(new view.Event(type, { bubbles: isRoot }));
+  }
+
+  /**
+   * Frame hook: dispatches due input (also on dropped frames), then on produced frames
+   * applies due scroll deltas and dispatches 'scroll' and 'scrollend'.
+   */
+  function onFrame(frame, dropped) {
+    const due = steps.filter(step => step.frame <= frame);
+    for (const step of due) {
+      if (step.input) {
+        const input = step.input;
+        step.input = null;
+        input();
+      }
+    }
+    if (dropped) return;
+
+    const moved = new Set();
+    const ended = new Set();
+    for (const step of due) {
+      steps.splice(steps.indexOf(step), 1);
+      if (step.deltaX || step.deltaY) {
+        const position = getPosition(step.target);
+        position.left = clampOffset(position.left + step.deltaX, step.target.scrollWidth, step.target.clientWidth);
+        position.top = clampOffset(position.top + step.deltaY, step.target.scrollHeight, step.target.clientHeight);
+        moved.add(step.target);
+      }
+      if (step.end) ended.add(step.target);
+    }
+
+    for (const target of moved) {
+      const position = getPosition(target);
+      const left = Math.round(position.left);
+      const top = Math.round(position.top);
+      if (left === target.scrollLeft && top === target.scrollTop) continue;
+      writeOffset(target, 'scrollLeft', left);
+      writeOffset(target, 'scrollTop', top);
+      dispatchScrollEvent(target, 'scroll');
+    }
+    ended.forEach(target => dispatchScrollEvent(target, 'scrollend'));
+  }
+
+  /**
+   * Queues a step at a frame relative to `startFrame`.
+   */
+  function queueStep(startFrame, relativeFrame, step) {
+    steps.push({ target: null, deltaX: 0, deltaY: 0, input: null, end: false, ...step, frame: startFrame + relativeFrame });
+  }
+
+  /**
+   * Queues a movement spread evenly over `frameCount` frames, then the 'scrollend' step.
+   * @returns {number} Relative frame of the last step
+   */
+  function queueAnimation(target, startFrame, firstFrame, frameCount, deltaX, deltaY, scrollEnd) {
+    for (let i = 0; i < frameCount; i++) {
+      queueStep(startFrame, firstFrame + i, { target, deltaX: deltaX / frameCount, deltaY: deltaY / frameCount });
+    }
+    const lastFrame = firstFrame + frameCount - 1;
+    if (scrollEnd) queueStep(startFrame, lastFrame + 1, { target, end: true });
+    return lastFrame;
+  }
+
+  function framesFor(durationMs) {
+    return Math.max(1, Math.round(durationMs / clock.frameInterval));
+  }
+
+  /**
+   * Registers a gesture's dropped frames (relative to its start) and plays until its steps ran.
+   */
+  function play(startFrame, droppedFrames = []) {
+    clock.dropFrames(droppedFrames.map(frame => startFrame + frame));
+    let played = 0;
+    while (steps.length) {
+      if (++played > CONFIG.MAX_GESTURE_FRAMES) {
+        throw new Error(`[ScrollTimingTesting] Gesture didn't finish within ${CONFIG.MAX_GESTURE_FRAMES} frames`);
+      }
+      clock.advanceFrames(1);
+    }
+  }
+
+  /**
+   * Simulated scroll()/scrollTo()/scrollBy(): moves on the next frame, or over
+   * SMOOTH_SCROLL_DURATION_MS with behavior 'smooth'.
+   */
+  function createScrollMethod(name) {
+    return function(...args) {
+      const target = this === view || this === undefined || this === null ? getRootScroller() : this;
+      const { left, top, behavior } = parseScrollArguments(args);
+      const from = getProjectedPosition(target);
+      const relative = name === 'scrollBy';
+      const toLeft = left === undefined ? from.left : (relative ? from.left : 0) + Number(left);
+      const toTop = top === undefined ? from.top : (relative ? from.top : 0) + Number(top);
+      const frameCount = behavior === 'smooth' ? framesFor(CONFIG.SMOOTH_SCROLL_DURATION_MS) : 1;
+      queueAnimation(target, clock.frame, 1, frameCount, toLeft - from.left, toTop - from.top, scrollEndForCall);
+    };
+  }
+
+  for (const owner of [view.Element.prototype, view]) {
+    for (const name of SCROLL_METHODS) {
+      replacedMethods.push({ owner, name, descriptor: Object.getOwnPropertyDescriptor(owner, name) });
+      Object.defineProperty(owner, name, { value: createScrollMethod(name), writable: true, configurable: true });
+    }
+  }
+
+  const removeFrameHook = clock.onFrame(onFrame);
+
+  /**
+   * Wheel ticks over `target`, each animated over SMOOTH_SCROLL_DURATION_MS (or applied on
+   * the next frame with `smooth: false`).
+   * @param {Element} target - Element under the pointer
+   * @param {Object} [options]
+   * @param {number} [options.ticks=1]
+   * @param {number} [options.deltaX=0] - Horizontal delta per tick
+   * @param {number} [options.deltaY=100] - Vertical delta per tick
+   * @param {number} [options.tickInterval=50] - Time between ticks (ms), rounded to whole frames
+   * @param {boolean} [options.smooth=true]
+   * @param {number[]} [options.droppedFrames] - Frames to drop, counted from 1 at the first tick
+   * @param {boolean} [options.scrollEnd] - Dispatch 'scrollend' at the end
+   */
+  function wheel(target, gesture = {}) {
+    const {
+      ticks = 1,
+      deltaX = 0,
+      deltaY = CONFIG.WHEEL_TICK_DELTA,
+      tickInterval = CONFIG.WHEEL_TICK_INTERVAL_MS,
+      smooth = true,
+      scrollEnd = defaultScrollEnd,
+    } = gesture;
+    const scroller = target === doc.body ? getRootScroller() : target;
+    const startFrame = clock.frame;
+    const frameCount = smooth ? framesFor(CONFIG.SMOOTH_SCROLL_DURATION_MS) : 1;
+    let lastFrame = 1;
+
+    for (let tick = 0; tick < ticks; tick++) {
+      const tickFrame = 1 + Math.round(tick * tickInterval / clock.frameInterval);
+      queueStep(startFrame, tickFrame, {
+        input: () => target.dispatchEvent(new view.WheelEvent('wheel', { deltaX, deltaY, deltaMode: 0, bubbles: true, cancelable: true, composed: true }))
+      });
+      lastFrame = queueAnimation(scroller, startFrame, tickFrame, frameCount, deltaX, deltaY, false);
+    }
+    if (scrollEnd) queueStep(startFrame, lastFrame + 1, { target: scroller, end: true });
+    play(startFrame, gesture.droppedFrames);
+  }
+
+  /**
+   * Touch fling on `target`: touchstart, a drag at `velocity` for `dragFrames` frames, touchend,
+   * then momentum decaying by FLING_FRICTION per frame. Content follows the finger, so a
+   * positive velocityY drags the finger up and scrolls down.
+   * @param {Element} target - Element touched
+   * @param {Object} [options]
+   * @param {number} [options.velocityX=0] - Scroll velocity (px/ms)
+   * @param {number} [options.velocityY=2] - Scroll velocity (px/ms)
+   * @param {number} [options.dragFrames=5]
+   * @param {number} [options.friction=0.95] - Fraction of momentum velocity kept per frame
+   * @param {{clientX: number, clientY: number}} [options.point] - Where the finger touches down
+   * @param {number[]} [options.droppedFrames] - Frames to drop, counted from 1 at touchstart
+   * @param {boolean} [options.scrollEnd] - Dispatch 'scrollend' at the end
+   */
+  function fling(target, gesture = {}) {
+    const {
+      velocityX = 0,
+      velocityY = CONFIG.FLING_VELOCITY_PX_PER_MS,
+      dragFrames = CONFIG.FLING_DRAG_FRAMES,
+      friction = CONFIG.FLING_FRICTION,
+      point = { clientX: 100, clientY: 300 },
+      scrollEnd = defaultScrollEnd,
+    } = gesture;
+    if (!(friction >= 0 && friction < 1)) {
+      throw new RangeError(`[ScrollTimingTesting] friction must be in [0, 1), got ${friction}`);
+    }
+    const scroller = target === doc.body ? getRootScroller() : target;
+    const startFrame = clock.frame;
+    const interval = clock.frameInterval;
+    let finger = { ...point };
+
+    queueStep(startFrame, 1, { input: () => target.dispatchEvent(createTouchEvent(view, 'touchstart', target, point)) });
+
+    let frame = 1;
+    for (let i = 0; i < dragFrames; i++) {
+      frame++;
+      const stepX = velocityX * interval;
+      const stepY = velocityY * interval;
+      finger = { clientX: finger.clientX - stepX, clientY: finger.clientY - stepY };
+      const touchPoint = finger;
+      queueStep(startFrame, frame, {
+        target: scroller,
+        deltaX: stepX,
+        deltaY: stepY,
+        input: () => target.dispatchEvent(createTouchEvent(view, 'touchmove', target, touchPoint))
+      });
+    }
+
+    frame++;
+    const liftPoint = finger;
+    queueStep(startFrame, frame, { input: () => target.dispatchEvent(createTouchEvent(view, 'touchend', target, liftPoint)) });
+
+    let speedX = velocityX * friction;
+    let speedY = velocityY * friction;
+    while (Math.hypot(speedX, speedY) >= CONFIG.FLING_MIN_VELOCITY_PX_PER_MS) {
+      queueStep(startFrame, frame, { target: scroller, deltaX: speedX * interval, deltaY: speedY * interval });
+      speedX *= friction;
+      speedY *= friction;
+      frame++;
+    }
+    if (scrollEnd) queueStep(startFrame, frame, { target: scroller, end: true });
+    play(startFrame, gesture.droppedFrames);
+  }
+
+  /**
+   * Key press scrolling the focused scroller (`target` is focused first; the root scroller
+   * blurs the active element). The scroll is animated over SMOOTH_SCROLL_DURATION_MS.
+   * @param {Element} target - Scroller to focus and scroll
+   * @param {Object} [options]
+   * @param {string} [options.key='PageDown'] - Arrow keys, PageUp, PageDown, Space (' '), Home or End
+   * @param {boolean} [options.shiftKey=false] - Shift+Space scrolls up
+   * @param {number[]} [options.droppedFrames] - Frames to drop, counted from 1 at keydown
+   * @param {boolean} [options.scrollEnd] - Dispatch 'scrollend' at the end
+   */
+  function key(target, gesture = {}) {
+    const { key: keyName = 'PageDown', shiftKey = false, scrollEnd = defaultScrollEnd } = gesture;
+    const keyScroll = KEY_SCROLLS[keyName];
+    if (!keyScroll) {
+      throw new RangeError(`[ScrollTimingTesting] Unsupported scroll key: ${keyName}`);
+    }
+
+    const scroller = target === doc.body ? getRootScroller() : target;
+    const isRoot = scroller === getRootScroller();
+    if (isRoot) {
+      if (doc.activeElement && doc.activeElement !== doc.body) doc.activeElement.blur();
+    } else {
+      if (!scroller.hasAttribute('tabindex')) scroller.tabIndex = -1;
+      scroller.focus();
+    }
+
+    const [x, y] = keyScroll.direction;
+    const reverse = keyName === ' ' && shiftKey ? -1 : 1;
+    const clientWidth = scroller.clientWidth || (isRoot ? view.innerWidth : 0);
+    const clientHeight = scroller.clientHeight || (isRoot ? view.innerHeight : 0);
+    const from = getProjectedPosition(scroller);
+    let deltaX;
+    let deltaY;
+    if (keyScroll.amount === 'edge') {
+      deltaX = 0;
+      deltaY = y < 0 ? -from.top : clampOffset(Infinity, scroller.scrollHeight, clientHeight) - from.top;
+      if (!Number.isFinite(deltaY)) {
+        throw new RangeError('[ScrollTimingTesting] End needs the scroller\'s geometry (see defineScrollGeometry)');
+      }
+    } else {
+      const amountX = keyScroll.amount === 'line' ? CONFIG.LINE_SCROLL_DELTA : clientWidth * CONFIG.PAGE_SCROLL_RATIO;
+      const amountY = keyScroll.amount === 'line' ? CONFIG.LINE_SCROLL_DELTA : clientHeight * CONFIG.PAGE_SCROLL_RATIO;
+      deltaX = x * reverse * amountX;
+      deltaY = y * reverse * amountY;
+    }
+
+    const startFrame = clock.frame;
+    const eventTarget = isRoot ? doc.body : scroller;
+    queueStep(startFrame, 1, {
+      input: () => {
+        eventTarget.dispatchEvent(new view.KeyboardEvent('keydown', { key: keyName, shiftKey, bubbles: true, cancelable: true, composed: true }));
+        eventTarget.dispatchEvent(new view.KeyboardEvent('keyup', { key: keyName, shiftKey, bubbles: true, cancelable: true, composed: true }));
+      }
+    });
+    queueAnimation(scroller, startFrame, 1, framesFor(CONFIG.SMOOTH_SCROLL_DURATION_MS), deltaX, deltaY, scrollEnd);
+    play(startFrame, gesture.droppedFrames);
+  }
+
+  /**
+   * Programmatic scroll through `target.scrollTo()` (the window's for the root scroller),
+   * so the polyfill sees it the way it sees page script calling it.
+   * @param {Element} target
+   * @param {Object} [options]
+   * @param {number} [options.top]
+   * @param {number} [options.left]
+   * @param {string} [options.behavior] - 'smooth' animates over SMOOTH_SCROLL_DURATION_MS
+   * @param {number[]} [options.droppedFrames] - Frames to drop, counted from 1 at the first scrolled frame
+   * @param {boolean} [options.scrollEnd] - Dispatch 'scrollend' at the end
+   */
+  function scrollTo(target, gesture = {}) {
+    const { top, left, behavior, scrollEnd = defaultScrollEnd } = gesture;
+    const scroller = target === doc.body ? getRootScroller() : target;
+    const startFrame = clock.frame;
+    scrollEndForCall = scrollEnd;
+    try {
+      (scroller === getRootScroller() ? view : scroller).scrollTo({ top, left, behavior });
+    } finally {
+      scrollEndForCall = defaultScrollEnd;
+    }
+    play(startFrame, gesture.droppedFrames);
+  }
+
+  /**
+   * Stops simulating and restores the original scroll methods. Uninstall the polyfill first.
+   */
+  function destroy() {
+    removeFrameHook();
+    steps.length = 0;
+    replacedMethods.splice(0).reverse().forEach(({ owner, name, descriptor }) => {
+      if (descriptor) Object.defineProperty(owner, name, descriptor);
+      else delete owner[name];
+    });
+  }
+
+  return { wheel, fling, key, scrollTo, destroy };
+}
+
+// === Module: Test Installation ===
+
+/**
+ * Installs the polyfill on a virtual clock with a scroll simulator and a 'scroll' observer.
+ * The blob: URL worker is off (the baseline follows the virtual display), and the polyfill is
+ * installed even where PerformanceScrollTiming is native. Import polyfill-core.js, not the
+ * side-effect polyfill.js, in tests that use this.
+ * @param {Object} [options] - install() options (except `scheduler`), plus:
+ * @param {number} [options.refreshRate=60] - Virtual display refresh rate (Hz)
+ * @param {Object} [options.observe] - Extra observe() options, e.g. { frameTiming: true }
+ * @returns {{clock: Object, simulator: Object, takeEntries: Function, uninstall: Function}}
+ */
+function installForTesting(options = {}) {
+  const { refreshRate = CONFIG.DEFAULT_REFRESH_RATE, observe = {}, ...installOptions } = options;
+  if (window.PerformanceScrollTiming && window.PerformanceScrollTiming.__isPolyfill) {
+    throw new Error('[ScrollTimingTesting] The polyfill is already installed; import polyfill-core.js instead of polyfill.js');
+  }
+
+  const clock = createVirtualClock({ refreshRate });
+  const simulator = createScrollSimulator(clock);
+  install({ worker: false, force: true, ...installOptions, scheduler: clock });
+
+  // Let the main thread refresh rate measurement sample the virtual display
+  clock.advanceFrames((installOptions.refreshRateSamples ?? CONFIG.DEFAULT_REFRESH_RATE_SAMPLES) + 1);
+
+  const entries = [];
+  const observer = new window.PerformanceObserver(list => entries.push(...list.getEntries()));
+  observer.observe({ ...observe, type: 'scroll' });
+
+  /**
+   * Delivers pending entries and returns those observed since the last call.
+   */
+  function takeEntries() {
+    clock.advance(0);
+    return entries.splice(0);
+  }
+
+  function uninstallForTesting() {
+    observer.disconnect();
+    uninstall();
+    simulator.destroy();
+  }
+
+  return { clock, simulator, takeEntries, uninstall: uninstallForTesting };
+}
+
+// === ESM Exports ===
+
+export {
+  installForTesting,
+  createVirtualClock,
+  createScrollSimulator,
+  defineScrollGeometry,
+};